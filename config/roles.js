@@ -0,0 +1,68 @@
+// Role-based permission matrix
+// Routes declare the permission they need; each role lists what it is granted.
+
+const PERMISSIONS = {
+  PRODUCTS_CREATE: 'products:create',
+  PRODUCTS_UPDATE: 'products:update',
+  PRODUCTS_DELETE: 'products:delete',
+  PRODUCTS_PURGE: 'products:purge',
+  PRODUCTS_TOGGLE_REVIEWS: 'products:toggle-reviews',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  REVIEWS_OVERRIDE_PLAYTIME: 'reviews:override-playtime',
+  RATINGS_RECOMPUTE: 'ratings:recompute',
+  ATTRIBUTES_MANAGE: 'attributes:manage',
+  PLAYTIME_ADJUST: 'playtime:adjust',
+  PLAYTIME_REBUILD: 'playtime:rebuild',
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  USERS_ASSIGN_ROLES: 'users:assign-roles',
+  AUDIT_READ: 'audit:read',
+};
+
+const ROLES = {
+  USER: 'user',
+  SUPPORT: 'support',
+  MODERATOR: 'moderator',
+  CATALOG_EDITOR: 'catalog_editor',
+  SUPER_ADMIN: 'super_admin',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_UPDATE,
+    PERMISSIONS.PLAYTIME_ADJUST,
+    PERMISSIONS.PLAYTIME_REBUILD,
+  ],
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS,
+    PERMISSIONS.REVIEWS_MODERATE,
+  ],
+  [ROLES.CATALOG_EDITOR]: [
+    PERMISSIONS.PRODUCTS_CREATE,
+    PERMISSIONS.PRODUCTS_UPDATE,
+    PERMISSIONS.PRODUCTS_DELETE,
+    PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS,
+    PERMISSIONS.RATINGS_RECOMPUTE,
+    PERMISSIONS.ATTRIBUTES_MANAGE,
+  ],
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+};
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// True when moving from one role to the other takes away any permission
+const isDemotion = (fromRole, toRole) =>
+  (ROLE_PERMISSIONS[fromRole] || []).some(permission => !hasPermission(toRole, permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isDemotion,
+};
@@ -0,0 +1,69 @@
+const { validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    List audit events, newest first
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+const getAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pageSize = 50;
+    const page = Number(req.query.pageNumber) || 1;
+    const { actor, target, targetType, action, from, to } = req.query;
+
+    const filter = {};
+    if (actor) {
+      filter.actor = actor;
+    }
+    if (target) {
+      filter.targetId = target;
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        // A plain date includes the whole day
+        if (DATE_ONLY.test(to)) {
+          filter.createdAt.$lt = new Date(new Date(to).getTime() + ONE_DAY_MS);
+        } else {
+          filter.createdAt.$lte = new Date(to);
+        }
+      }
+    }
+
+    const count = await AuditEvent.countDocuments(filter);
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1));
+
+    res.json({
+      events,
+      page,
+      pages: Math.ceil(count / pageSize),
+      total: count
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getAuditEvents
+};
@@ -0,0 +1,152 @@
+const { validationResult } = require('express-validator');
+const AttributeDefinition = require('../models/AttributeDefinition');
+const { isReservedKey } = require('../services/attributeRegistry');
+const { attributeSnapshot, auditTarget, recordAudit } = require('../services/auditLog');
+
+// @desc    List optional game attribute definitions
+// @route   GET /api/attributes
+// @access  Public
+const getAttributes = async (req, res) => {
+  try {
+    const attributes = await AttributeDefinition.find({}).sort({ key: 1 });
+    res.json(attributes);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Define an optional game attribute
+// @route   POST /api/attributes
+// @access  Private/Admin
+const createAttribute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, label, type, description, required, validation } = req.body;
+
+    if (isReservedKey(key)) {
+      return res.status(400).json({ message: `${key} is a reserved product field` });
+    }
+
+    const attributeExists = await AttributeDefinition.findOne({ key });
+    if (attributeExists) {
+      return res.status(400).json({ message: 'Attribute already exists' });
+    }
+
+    const attribute = await AttributeDefinition.create({
+      key,
+      label,
+      type,
+      description,
+      required: Boolean(required),
+      validation,
+      user: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'attribute.create',
+      target: auditTarget('attribute', attribute),
+      after: attributeSnapshot(attribute),
+    });
+
+    res.status(201).json(attribute);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Update an optional game attribute definition
+// @route   PUT /api/attributes/:id
+// @access  Private/Admin
+const updateAttribute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attribute = await AttributeDefinition.findById(req.params.id);
+
+    if (!attribute) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+
+    // Key and type are fixed: stored product values depend on them
+    if ((req.body.key !== undefined && req.body.key !== attribute.key) ||
+        (req.body.type !== undefined && req.body.type !== attribute.type)) {
+      return res.status(400).json({ message: 'Attribute key and type cannot be changed' });
+    }
+
+    const before = attributeSnapshot(attribute);
+
+    attribute.label = req.body.label || attribute.label;
+    if (req.body.description !== undefined) {
+      attribute.description = req.body.description;
+    }
+    if (req.body.required !== undefined) {
+      attribute.required = Boolean(req.body.required);
+    }
+    if (req.body.validation !== undefined) {
+      attribute.validation = req.body.validation;
+    }
+
+    const updatedAttribute = await attribute.save();
+
+    await recordAudit(req, {
+      action: 'attribute.update',
+      target: auditTarget('attribute', updatedAttribute),
+      before,
+      after: attributeSnapshot(updatedAttribute),
+    });
+
+    res.json(updatedAttribute);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Remove an optional game attribute definition
+// @route   DELETE /api/attributes/:id
+// @access  Private/Admin
+const deleteAttribute = async (req, res) => {
+  try {
+    const attribute = await AttributeDefinition.findById(req.params.id);
+
+    if (!attribute) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+
+    await attribute.deleteOne();
+
+    await recordAudit(req, {
+      action: 'attribute.delete',
+      target: auditTarget('attribute', attribute),
+      before: attributeSnapshot(attribute),
+    });
+
+    // Values already stored on products are kept but no longer shown or accepted
+    res.json({ message: 'Attribute removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute,
+};
@@ -1,63 +1,307 @@
 const { validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const PlaySession = require('../models/PlaySession');
+const {
+  effectiveRating,
+  applyPlayTimeChange,
+  applyRatingChange,
+  recomputeProductRating,
+  getRatingBreakdown
+} = require('../services/ratingService');
+const {
+  decodeDataUrl,
+  isImageUrl,
+  storeProductImage,
+  removeStoredImages
+} = require('../services/imageStorage');
+const {
+  isReservedKey,
+  getDefinitions,
+  validateAttributes,
+  describeAttributes
+} = require('../services/attributeRegistry');
+const { toCalendarDate } = require('../services/calendarDate');
+const {
+  isPlainObject,
+  applyMergePatch,
+  snapshot,
+  diffFields
+} = require('../services/mergePatch');
+const {
+  describeLock,
+  syncReviewLocks,
+  releaseLock,
+  detachLockFields
+} = require('../services/reviewScheduler');
+const {
+  setETag,
+  ifMatchSatisfied,
+  claimRevision,
+  isConflictError,
+  sendPreconditionFailed
+} = require('../services/concurrency');
+const { planProductDeletion, deleteProductCascade } = require('../services/deletionService');
+const { productSnapshot, auditTarget, recordAudit } = require('../services/auditLog');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
 const mongoose = require('mongoose');
 
-// Helper function to calculate and update weighted product rating
-async function updateWeightedProductRating(productId) {
-  try {
-    const product = await Product.findById(productId).populate('reviews.user', 'playTime'); // Get reviews and associated users' playtime
+// Longest gap between heartbeats that still counts as play; anything longer is idle time
+const MAX_HEARTBEAT_GAP_SECONDS = Number(process.env.PLAY_SESSION_MAX_GAP_SECONDS) || 300;
 
-    if (!product) {
-      console.error(`Product not found for rating update: ${productId}`);
-      return;
-    }
+// Minutes of play needed before rating or commenting, unless the game sets its own
+// Values that are not a non-negative number fall back to the default rather than
+// becoming NaN, which would let every playtime check pass
+const envMinutes = (name, fallback) => {
+  const minutes = process.env[name] !== undefined && process.env[name] !== '' ? Number(process.env[name]) : NaN;
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+};
+const DEFAULT_MIN_PLAYTIME_TO_RATE = envMinutes('MIN_PLAYTIME_TO_RATE', 60);
+const DEFAULT_MIN_PLAYTIME_TO_COMMENT = envMinutes('MIN_PLAYTIME_TO_COMMENT', 60);
+
+// Playtime thresholds that apply to a game
+const getReviewRequirements = (product) => ({
+  minPlayTimeToRate: product.minPlayTimeToRate !== undefined && product.minPlayTimeToRate !== null
+    ? product.minPlayTimeToRate
+    : DEFAULT_MIN_PLAYTIME_TO_RATE,
+  minPlayTimeToComment: product.minPlayTimeToComment !== undefined && product.minPlayTimeToComment !== null
+    ? product.minPlayTimeToComment
+    : DEFAULT_MIN_PLAYTIME_TO_COMMENT,
+});
+
+// Helper function to add credited minutes to a user's playtime aggregate
+// Uses atomic updates so concurrent credits for the same user never lose minutes
+// Returns the user's updated playtime for the product
+async function creditPlayTime(userId, productId, minutes) {
+  // Projections are not cast by Mongoose, so pass a real ObjectId
+  const projection = { playTime: { $elemMatch: { product: new mongoose.Types.ObjectId(productId) } } };
+
+  const incrementExisting = () => User.findOneAndUpdate(
+    { _id: userId, 'playTime.product': productId },
+    { $inc: { 'playTime.$.time': minutes } },
+    { new: true, projection }
+  );
+
+  let user = await incrementExisting();
+  if (!user) {
+    // First play of this game: add the entry unless a concurrent credit just did
+    user = await User.findOneAndUpdate(
+      { _id: userId, 'playTime.product': { $ne: productId } },
+      { $push: { playTime: { product: productId, time: minutes } } },
+      { new: true, projection }
+    );
+  }
+  if (!user) {
+    user = await incrementExisting();
+  }
+  if (!user) {
+    return null; // User does not exist
+  }
 
-    let weightedSum = 0;
-    let totalPlayTime = 0;
+  const updatedPlayTime = user.playTime[0].time;
 
-    // Find all users who have played this game
-    const usersWhoPlayed = await User.find({ 'playTime.product': productId });
+  // Shift the product's rating aggregates by the credited minutes
+  await applyPlayTimeChange(productId, user._id, minutes, updatedPlayTime - minutes);
 
-    if (!usersWhoPlayed || usersWhoPlayed.length === 0) {
-      product.rating = 0; // No playtime, rating is 0
-      await product.save();
-      return;
-    }
+  return updatedPlayTime;
+}
 
-    // Calculate total playtime for this game across all users
-    usersWhoPlayed.forEach(user => {
-      const gamePlayData = user.playTime.find(pt => pt.product.toString() === productId.toString());
-      if (gamePlayData) {
-        totalPlayTime += gamePlayData.time;
-      }
-    });
+// A review as the public sees it: reports, votes, moderation and edit history are left out
+const publicReview = (review) => {
+  const {
+    reports, openReports, moderatedBy, moderatedAt, moderationReason, revisions, deletedAt, deletedBy, votes,
+    playTimeOverrides, ...data
+  } = review.toObject();
+  return data;
+};
 
-    // Calculate weighted sum from reviews, considering only users who have played
-    if (product.reviews && product.reviews.length > 0) {
-      product.reviews.forEach(review => {
-        // Find the playtime for the user who wrote the review
-        const reviewingUser = usersWhoPlayed.find(u => u._id.toString() === review.user._id.toString());
-        if (reviewingUser) {
-            const gamePlayData = reviewingUser.playTime.find(pt => pt.product.toString() === productId.toString());
-            if (gamePlayData && gamePlayData.time > 0 && review.rating > 0) {
-                weightedSum += gamePlayData.time * review.rating;
-            }
-        }
-      });
+// A session whose last heartbeat is older than the allowed gap has been abandoned
+const isSessionStale = (session, now) =>
+  now - session.lastHeartbeatAt > MAX_HEARTBEAT_GAP_SECONDS * 1000;
+
+// Helper function to end a play session now, crediting the time since its last heartbeat
+// unless the session was abandoned (then it ends at its last heartbeat)
+async function endPlaySession(session, now) {
+  let endedAt = session.lastHeartbeatAt;
+
+  if (!isSessionStale(session, now)) {
+    session.recordHeartbeat(now, MAX_HEARTBEAT_GAP_SECONDS);
+    endedAt = now;
+  }
+
+  return completePlaySession(session, endedAt);
+}
+
+// Helper function to close a play session and credit its whole minutes
+// Returns the user's updated playtime for the product
+async function completePlaySession(session, endedAt) {
+  session.status = 'completed';
+  session.endedAt = endedAt;
+  session.minutes = Math.floor(session.activeSeconds / 60);
+
+  // Only the request that actually closes the session credits it, so a
+  // concurrent stop (or stale-session cleanup) cannot credit the minutes twice
+  const { modifiedCount } = await PlaySession.updateOne(
+    { _id: session._id, status: 'active' },
+    {
+      status: session.status,
+      endedAt: session.endedAt,
+      minutes: session.minutes,
+      activeSeconds: session.activeSeconds,
+      lastHeartbeatAt: session.lastHeartbeatAt,
     }
+  );
+
+  if (modifiedCount === 1 && session.minutes > 0) {
+    return creditPlayTime(session.user, session.product, session.minutes);
+  }
+
+  const user = await User.findById(session.user).select('playTime');
+  const playTimeData = user && user.playTime.find(pt => pt.product.toString() === session.product.toString());
+  return playTimeData ? playTimeData.time : 0;
+}
 
-    // Update product rating (handle division by zero)
-    product.rating = totalPlayTime > 0 ? weightedSum / totalPlayTime : 0;
+// Days an archived game can be restored before the purge deletes it for good
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 30;
 
-    await product.save();
-    console.log(`Updated weighted rating for product ${productId} to ${product.rating}`);
+// When an archived game becomes eligible for the purge
+const purgeDateFor = (product) =>
+  new Date(product.archivedAt.getTime() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
 
+// Helper function to save an editor update only if nobody saved the product since it was loaded
+// Returns null on a conflict, after removing images stored for the rejected update
+async function saveProductRevision(product, previousImages) {
+  claimRevision(product);
+  try {
+    return await product.save();
   } catch (error) {
-    console.error(`Error updating weighted rating for product ${productId}:`, error);
+    if (!isConflictError(error)) {
+      throw error;
+    }
+    if (product.image !== previousImages[0]) {
+      await removeStoredImages(product.image, product.thumbnail);
+    }
+    return null;
+  }
+}
+
+// Helper function to turn an image field into stored image URLs
+// Base64 data URLs are validated and moved to image storage; http(s) and upload URLs are kept as-is
+async function resolveImageInput(image) {
+  const imageBuffer = decodeDataUrl(image);
+  if (imageBuffer) {
+    return storeProductImage(imageBuffer);
+  }
+  if (typeof image !== 'string' || image.startsWith('data:')) {
+    const error = new Error('Image must be PNG or JPG/JPEG format');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!isImageUrl(image)) {
+    const error = new Error('Image must be an http(s) URL or an uploaded image under /uploads/');
+    error.statusCode = 400;
+    throw error;
   }
+  return { image, thumbnail: undefined };
 }
 
+// Sort orders accepted by the product listing endpoints (?sort=...)
+const PRODUCT_SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  rating: { rating: -1, _id: -1 },
+  playtime: { totalPlayTime: -1, _id: -1 },
+  players: { uniquePlayers: -1, _id: -1 },
+};
+
+// Built-in fields PATCH can change. Required fields cannot be removed with null;
+// the others go back to `reset` (undefined removes the field)
+const PRODUCT_PATCH_FIELDS = {
+  name: { required: true },
+  description: { required: true },
+  image: { required: true },
+  brand: { required: true },
+  category: { required: true },
+  disableRating: { reset: false },
+  disableCommenting: { reset: false },
+  ratingWeighting: { reset: 'linear' },
+  ratingWeightCap: { reset: undefined },
+  minPlayTimeToRate: { reset: undefined },
+  minPlayTimeToComment: { reset: undefined },
+};
+
+// Comment orderings for /api/products/:id/comments; playtime is the Games Page default
+const COMMENT_SORT_OPTIONS = {
+  playtime: (a, b) => b.userPlayTime - a.userPlayTime,
+  helpful: (a, b) =>
+    (b.helpfulVotes - b.unhelpfulVotes) - (a.helpfulVotes - a.unhelpfulVotes) ||
+    b.helpfulVotes - a.helpfulVotes ||
+    b.userPlayTime - a.userPlayTime,
+  newest: (a, b) => b.createdAt - a.createdAt,
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0) || b.userPlayTime - a.userPlayTime,
+};
+
+// Review flags selected in a request body (form-encoded bodies send "true" or "false")
+const selectedReviewFlags = (body) => ({
+  rating: body.rating === true || body.rating === 'true',
+  commenting: body.commenting === true || body.commenting === 'true',
+});
+
+// Which review flags an enable/disable request targets (both when neither is given)
+const reviewToggleTargets = (body) => {
+  if (body.rating === undefined && body.commenting === undefined) {
+    return { rating: true, commenting: true };
+  }
+  return selectedReviewFlags(body);
+};
+
+// Update that sets only the review flags and records who changed them and why
+const buildReviewToggleUpdate = (disable, targets, reason, userId) => {
+  const $set = {};
+  if (targets.rating) {
+    $set.disableRating = disable;
+  }
+  if (targets.commenting) {
+    $set.disableCommenting = disable;
+  }
+  return {
+    $set,
+    $inc: { revision: 1 }, // Editors holding an older ETag must reload
+    $push: {
+      reviewToggles: {
+        action: disable ? 'disable' : 'enable',
+        rating: targets.rating,
+        commenting: targets.commenting,
+        reason,
+        user: userId,
+        at: new Date(),
+      },
+    },
+  };
+};
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a product query from listing filters: genre (comma-separated), brand, minRating
+// Archived games are never listed
+const buildProductFilter = (query) => {
+  const filter = { archivedAt: null };
+
+  if (query.genre) {
+    const genres = String(query.genre).split(',').map(genre => genre.trim()).filter(Boolean);
+    filter.category = { $in: genres.map(genre => new RegExp(`^${escapeRegex(genre)}$`, 'i')) };
+  }
+  if (query.brand) {
+    filter.brand = new RegExp(`^${escapeRegex(String(query.brand))}$`, 'i');
+  }
+  if (query.minRating !== undefined) {
+    filter.rating = { $gte: Number(query.minRating) };
+  }
+
+  return filter;
+};
+
 // @desc    Fetch all products
 // @route   GET /api/products
 // @access  Public
@@ -74,13 +318,141 @@ const getProducts = async (req, res) => {
           },
         }
       : {};
+    // Archived games are hidden from the store
+    const filter = { ...keyword, archivedAt: null };
+
+    const sort = PRODUCT_SORT_OPTIONS[req.query.sort] || PRODUCT_SORT_OPTIONS.newest;
 
-    const count = await Product.countDocuments({ ...keyword });
-    const products = await Product.find({ ...keyword })
+    const count = await Product.countDocuments(filter);
+    const products = await Product.find(filter)
+      .populate('reviews.user', 'name deactivatedAt')
+      .sort(sort)
       .limit(pageSize)
       .skip(pageSize * (page - 1));
 
-    res.json({ products, page, pages: Math.ceil(count / pageSize) });
+    // Reviews as on the game page: deleted and hidden reviews, edit history and
+    // moderation data are for moderators only; deactivated accounts are left out
+    const listed = products.map(product => {
+      const { reviewLocks, reviewToggles, ...productData } = product.toObject();
+      return { ...productData, reviews: product.listedReviews().map(publicReview) };
+    });
+
+    res.json({ products: listed, page, pages: Math.ceil(count / pageSize) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Search games with relevance ranking and facet counts
+// @route   GET /api/products/search
+// @access  Public
+const searchProducts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const searchText = req.query.q ? String(req.query.q).trim() : '';
+
+    // Query-wide conditions; $text has to be in the first stage of the pipeline
+    const baseMatch = { archivedAt: null };
+    if (searchText) {
+      baseMatch.$text = { $search: searchText };
+    }
+    if (req.query.releaseDateFrom || req.query.releaseDateTo) {
+      // releaseDate is an optional field stored as an ISO date string (YYYY-MM-DD);
+      // timestamps in the bounds are cut to the same form so they compare as strings
+      baseMatch.releaseDate = {};
+      if (req.query.releaseDateFrom) {
+        baseMatch.releaseDate.$gte = toCalendarDate(String(req.query.releaseDateFrom));
+      }
+      if (req.query.releaseDateTo) {
+        baseMatch.releaseDate.$lte = toCalendarDate(String(req.query.releaseDateTo));
+      }
+    }
+
+    // Facet filters: each facet ignores its own filter so the sidebar can offer alternatives
+    const toList = (value) => [].concat(value || [])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    const genres = toList(req.query.category);
+    const developers = toList(req.query.developer);
+
+    const genreMatch = genres.length > 0
+      ? { category: { $in: genres.map(genre => new RegExp(`^${escapeRegex(genre)}$`, 'i')) } }
+      : {};
+    const developerMatch = developers.length > 0
+      ? { brand: { $in: developers.map(developer => new RegExp(`^${escapeRegex(developer)}$`, 'i')) } }
+      : {};
+
+    const sort = searchText
+      ? { score: -1, _id: 1 }
+      : PRODUCT_SORT_OPTIONS[req.query.sort] || PRODUCT_SORT_OPTIONS.newest;
+
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      ...(searchText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          games: [
+            { $match: { ...genreMatch, ...developerMatch } },
+            { $sort: sort },
+            { $skip: limit * (page - 1) },
+            { $limit: limit },
+            {
+              $project: {
+                name: 1,
+                image: 1,
+                thumbnail: 1,
+                brand: 1,
+                category: 1,
+                description: 1,
+                releaseDate: 1,
+                rating: 1,
+                numReviews: 1,
+                totalPlayTime: 1,
+                uniquePlayers: 1,
+                score: 1,
+              },
+            },
+          ],
+          total: [
+            { $match: { ...genreMatch, ...developerMatch } },
+            { $count: 'count' },
+          ],
+          genres: [
+            { $match: developerMatch },
+            { $unwind: '$category' },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          developers: [
+            { $match: genreMatch },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      games: result.games,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      facets: {
+        genres: result.genres.map(facet => ({ value: facet._id, count: facet.count })),
+        developers: result.developers.map(facet => ({ value: facet._id, count: facet.count }))
+      }
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -92,12 +464,16 @@ const getProducts = async (req, res) => {
 // @access  Public
 const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('reviews.user', 'name email'); // Populate basic user info for reviews
+    // Archived games are treated as missing everywhere except the admin endpoints
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null }).populate('reviews.user', 'name email deactivatedAt'); // Populate basic user info for reviews
 
     if (product) {
+      // Hidden reviews and reports are only shown to moderators; deactivated accounts are left out
+      const reviews = product.listedReviews().map(publicReview);
+
       // Sort reviews by user playtime for this specific product (descending)
-      if (product.reviews && product.reviews.length > 0) {
-        const userIds = [...new Set(product.reviews.map(review => review.user._id.toString()))];
+      if (reviews.length > 0) {
+        const userIds = [...new Set(reviews.map(review => review.user._id.toString()))];
 
         // Fetch playtime data for users who reviewed
         const usersWithPlaytime = await User.find({ 
@@ -113,14 +489,27 @@ const getProductById = async (req, res) => {
         }, {});
 
         // Sort reviews
-        product.reviews.sort((a, b) => {
+        reviews.sort((a, b) => {
           const playtimeA = playtimeMap[a.user._id.toString()] || 0;
           const playtimeB = playtimeMap[b.user._id.toString()] || 0;
           return playtimeB - playtimeA; // Descending order
         });
       }
 
-      res.json(product);
+      // Scheduled locks are summarised as the reason and re-open time users should see
+      const { reviewLocks, reviewToggles, ...productData } = product.toObject();
+      const body = {
+        ...productData,
+        reviews,
+        reviewRequirements: getReviewRequirements(product),
+        reviewLock: {
+          rating: product.disableRating ? describeLock(product, 'rating') : null,
+          commenting: product.disableCommenting ? describeLock(product, 'commenting') : null
+        }
+      };
+      // The ETag's revision is what PUT/PATCH If-Match headers are checked against
+      setETag(res, product, body);
+      res.json(body);
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
@@ -130,40 +519,155 @@ const getProductById = async (req, res) => {
   }
 };
 
-// @desc    Delete a product
+// @desc    Archive a product (it can be restored until it is purged)
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
 const deleteProduct = async (req, res) => {
   try {
-    const productId = req.params.id;
-    const product = await Product.findById(productId);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    
-    // Find all users who have play time records for this game
-    const usersWithPlaytime = await User.find({
-      'playTime.product': mongoose.Types.ObjectId(productId)
+    if (product.archivedAt) {
+      return res.status(400).json({ message: 'Product is already archived' });
+    }
+
+    const before = productSnapshot(product);
+    product.archivedAt = new Date();
+    product.archivedBy = req.user._id;
+    await product.save();
+
+    await recordAudit(req, {
+      action: 'product.archive',
+      target: auditTarget('product', product),
+      before,
+      after: productSnapshot(product)
     });
-    
-    // Update each user's play time records by removing this game
-    for (const user of usersWithPlaytime) {
-      // Filter out the play time entry for this product
-      user.playTime = user.playTime.filter(
-        pt => pt.product.toString() !== productId.toString()
-      );
-      
-      // Save the updated user
-      await user.save();
+
+    res.json({
+      message: 'Product archived. It can be restored until it is purged.',
+      _id: product._id,
+      archivedAt: product.archivedAt,
+      purgeAfter: purgeDateFor(product)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Restore an archived product
+// @route   POST /api/products/:id/restore
+// @access  Private/Admin
+const restoreProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!product.archivedAt) {
+      return res.status(400).json({ message: 'Product is not archived' });
     }
 
-    // Delete the product
-    await product.deleteOne();
-    
-    res.json({ 
-      message: 'Product removed successfully and all associated user data cleaned up',
-      affectedUsers: usersWithPlaytime.length
+    const before = productSnapshot(product);
+    product.archivedAt = undefined;
+    product.archivedBy = undefined;
+    await product.save();
+
+    // Catch the frozen rating up with play time credited while the game was archived
+    await recomputeProductRating(product._id);
+    const restoredProduct = await Product.findById(product._id);
+
+    await recordAudit(req, {
+      action: 'product.restore',
+      target: auditTarget('product', restoredProduct),
+      before,
+      after: productSnapshot(restoredProduct)
+    });
+
+    res.json(restoredProduct);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    List archived products
+// @route   GET /api/products/archived
+// @access  Private/Admin
+const getArchivedProducts = async (req, res) => {
+  try {
+    const products = await Product.find({ archivedAt: { $ne: null } })
+      .select('name image thumbnail brand category archivedAt archivedBy')
+      .populate('archivedBy', 'name')
+      .sort({ archivedAt: -1 });
+
+    res.json({
+      retentionDays: ARCHIVE_RETENTION_DAYS,
+      products: products.map(product => ({
+        ...product.toObject(),
+        purgeAfter: purgeDateFor(product)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Permanently delete products archived longer than the retention period
+// @route   POST /api/products/purge
+// @access  Private/Admin
+const purgeArchivedProducts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cutoff = new Date(Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const products = await Product.find({ archivedAt: { $lte: cutoff } });
+
+    // A dry run reports what would be deleted without changing anything
+    if (req.query.dryRun === 'true') {
+      const impact = [];
+      for (const product of products) {
+        const plan = await planProductDeletion(product._id);
+        if (plan) {
+          impact.push({ ...plan, archivedAt: product.archivedAt });
+        }
+      }
+      return res.json({ dryRun: true, retentionDays: ARCHIVE_RETENTION_DAYS, products: impact });
+    }
+
+    const purged = [];
+    for (const product of products) {
+      const result = await deleteProductCascade(product._id, { requestedBy: req.user._id });
+      if (!result) {
+        continue; // Purged by a concurrent request
+      }
+
+      await recordAudit(req, {
+        action: 'product.delete',
+        target: auditTarget('product', product),
+        before: productSnapshot(product),
+        details: result
+      });
+
+      purged.push({
+        _id: product._id,
+        name: product.name,
+        archivedAt: product.archivedAt,
+        ...result
+      });
+    }
+
+    res.json({
+      message: `${purged.length} archived product(s) purged`,
+      retentionDays: ARCHIVE_RETENTION_DAYS,
+      purged
     });
   } catch (error) {
     console.error(error);
@@ -189,9 +693,18 @@ const createProduct = async (req, res) => {
       category, 
       disableRating, 
       disableCommenting,
-      ...otherFields // Captures any additional optional fields
+      ratingWeighting,
+      ratingWeightCap,
+      minPlayTimeToRate,
+      minPlayTimeToComment,
+      ...otherFields // Optional attributes, checked against the attribute registry
     } = req.body;
 
+    const attributes = await validateAttributes(otherFields, { requireAll: true });
+    if (attributes.errors.length > 0) {
+      return res.status(400).json({ errors: attributes.errors });
+    }
+
     // Validate category is an array with 1-5 elements
     if (!Array.isArray(category) || category.length < 1 || category.length > 5) {
       return res.status(400).json({ 
@@ -200,34 +713,18 @@ const createProduct = async (req, res) => {
     }
 
     // Process image
-    let processedImage = image;
-    
-    // Check if image is a base64 string (from file upload)
-    if (image && image.startsWith('data:image')) {
-      // Validate image format (must be PNG or JPG/JPEG)
-      const isValidFormat = 
-        image.startsWith('data:image/png;base64,') || 
-        image.startsWith('data:image/jpeg;base64,') || 
-        image.startsWith('data:image/jpg;base64,');
-        
-      if (!isValidFormat) {
-        return res.status(400).json({
-          message: 'Image must be PNG or JPG/JPEG format'
-        });
-      }
-      
-      // Image is already base64 encoded from the client
-      processedImage = image;
-    } else if (!image) {
+    if (!image) {
       return res.status(400).json({
         message: 'Image is required'
       });
     }
+    const processedImage = await resolveImageInput(image);
 
     const product = new Product({
       name,
       user: req.user._id,
-      image: processedImage,
+      image: processedImage.image,
+      thumbnail: processedImage.thumbnail,
       brand, // Developer name
       category, // Array of genres
       description,
@@ -235,13 +732,90 @@ const createProduct = async (req, res) => {
       rating: 0, // Initial rating is 0
       disableRating: disableRating === undefined ? false : Boolean(disableRating),
       disableCommenting: disableCommenting === undefined ? false : Boolean(disableCommenting),
-      ...otherFields // Add any additional fields provided (optional fields)
+      ratingWeighting,
+      ratingWeightCap,
+      minPlayTimeToRate,
+      minPlayTimeToComment,
+      ...attributes.values // Registered optional attributes only
     });
 
     const createdProduct = await product.save();
+
+    await recordAudit(req, {
+      action: 'product.create',
+      target: auditTarget('product', createdProduct),
+      after: productSnapshot(createdProduct)
+    });
+
     res.status(201).json(createdProduct);
   } catch (error) {
     console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Upload a product image (multipart field "image")
+// @route   POST /api/products/images
+// @access  Private/Admin
+const uploadProductImage = async (req, res) => {
+  try {
+    const stored = await storeProductImage(req.file.buffer);
+    res.status(201).json(stored);
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Replace a product's image (multipart field "image")
+// @route   POST /api/products/:id/image
+// @access  Private/Admin
+const updateProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!ifMatchSatisfied(req, product)) {
+      return sendPreconditionFailed(res, 'Product');
+    }
+
+    const before = productSnapshot(product);
+    const previousImages = [product.image, product.thumbnail];
+    const stored = await storeProductImage(req.file.buffer);
+
+    product.image = stored.image;
+    product.thumbnail = stored.thumbnail;
+    if (!await saveProductRevision(product, previousImages)) {
+      return sendPreconditionFailed(res, 'Product');
+    }
+
+    await removeStoredImages(...previousImages);
+
+    await recordAudit(req, {
+      action: 'product.image',
+      target: auditTarget('product', product),
+      before,
+      after: productSnapshot(product)
+    });
+
+    res.json({
+      _id: product._id,
+      image: product.image,
+      thumbnail: product.thumbnail
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server Error' });
   }
 };
@@ -264,9 +838,18 @@ const updateProduct = async (req, res) => {
       category, 
       disableRating, 
       disableCommenting,
-      ...otherFields 
+      ratingWeighting,
+      ratingWeightCap,
+      minPlayTimeToRate,
+      minPlayTimeToComment,
+      ...otherFields // Optional attributes, checked against the attribute registry
     } = req.body;
-    
+
+    const attributes = await validateAttributes(otherFields);
+    if (attributes.errors.length > 0) {
+      return res.status(400).json({ errors: attributes.errors });
+    }
+
     // Validate category if provided
     if (category !== undefined) {
       if (!Array.isArray(category) || category.length < 1 || category.length > 5) {
@@ -276,34 +859,27 @@ const updateProduct = async (req, res) => {
       }
     }
 
-    // Process image if provided
-    let processedImage = image;
-    if (image && image.startsWith('data:image')) {
-      // Validate image format (must be PNG or JPG/JPEG)
-      const isValidFormat = 
-        image.startsWith('data:image/png;base64,') || 
-        image.startsWith('data:image/jpeg;base64,') || 
-        image.startsWith('data:image/jpg;base64,');
-        
-      if (!isValidFormat) {
-        return res.status(400).json({
-          message: 'Image must be PNG or JPG/JPEG format'
-        });
-      }
-      
-      // Image is already base64 encoded from the client
-      processedImage = image;
-    }
-
     const productId = req.params.id;
 
     const product = await Product.findById(productId);
 
     if (product) {
+      if (!ifMatchSatisfied(req, product)) {
+        return sendPreconditionFailed(res, 'Product');
+      }
+      const before = productSnapshot(product);
+
+      // Process image if provided
+      const previousImages = [product.image, product.thumbnail];
+      if (image) {
+        const processedImage = await resolveImageInput(image);
+        product.image = processedImage.image;
+        product.thumbnail = processedImage.thumbnail;
+      }
+
       // Update required fields
       product.name = name || product.name;
       product.description = description || product.description;
-      product.image = processedImage || product.image;
       product.brand = brand || product.brand; // Developer name
       product.category = category || product.category; // Genre array
 
@@ -315,47 +891,211 @@ const updateProduct = async (req, res) => {
         product.disableCommenting = Boolean(disableCommenting);
       }
 
-      // Update any optional fields
-      for (const [key, value] of Object.entries(otherFields)) {
-        product[key] = value;
+      // Update the rating weighting strategy if provided
+      if (ratingWeighting !== undefined) {
+        product.ratingWeighting = ratingWeighting;
+      }
+      if (ratingWeightCap !== undefined) {
+        product.ratingWeightCap = ratingWeightCap;
+      }
+      const weightingChanged = product.isModified('ratingWeighting') || product.isModified('ratingWeightCap');
+
+      // Update playtime thresholds if provided (null goes back to the global default)
+      if (minPlayTimeToRate !== undefined) {
+        product.minPlayTimeToRate = minPlayTimeToRate === null ? undefined : minPlayTimeToRate;
+      }
+      if (minPlayTimeToComment !== undefined) {
+        product.minPlayTimeToComment = minPlayTimeToComment === null ? undefined : minPlayTimeToComment;
+      }
+
+      // Update any registered optional attributes
+      for (const [key, value] of Object.entries(attributes.values)) {
+        product.set(key, value);
+      }
+
+      let updatedProduct = await saveProductRevision(product, previousImages);
+      if (!updatedProduct) {
+        return sendPreconditionFailed(res, 'Product');
       }
 
-      const updatedProduct = await product.save();
+      // Clean up the replaced image files
+      if (product.image !== previousImages[0]) {
+        await removeStoredImages(...previousImages);
+      }
       
       // Note: Updating disableRating might affect weighted average, but the calculation
       // itself doesn't need immediate re-triggering unless reviews are added/removed/changed.
 
+      // A new weighting strategy invalidates the stored aggregates
+      if (weightingChanged) {
+        await recomputeProductRating(updatedProduct._id);
+        updatedProduct = await Product.findById(updatedProduct._id);
+      }
+
+      await recordAudit(req, {
+        action: 'product.update',
+        target: auditTarget('product', updatedProduct),
+        before,
+        after: productSnapshot(updatedProduct)
+      });
+
+      setETag(res, updatedProduct, updatedProduct);
       res.json(updatedProduct);
     } else {
       res.status(404).json({ message: 'Product not found' });
     }
   } catch (error) {
     console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server Error' });
   }
 };
 
-// @desc    Add or Update product review (rating and/or comment)
-// @route   POST /api/products/:id/reviews
-// @access  Private
-const addOrUpdateProductReview = async (req, res) => {
-  const { rating, comment } = req.body;
-  const productId = req.params.id;
-  const userId = req.user._id;
-
-  // Basic validation: at least one of rating or comment must be provided
-  if (rating === undefined && comment === undefined) {
-    return res.status(400).json({ message: 'Rating or comment is required' });
-  }
+// @desc    Partially update a product (JSON Merge Patch: null removes an optional field)
+// @route   PATCH /api/products/:id
+// @access  Private/Admin
+const patchProduct = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ message: 'Patch must be a JSON object' });
+    }
 
-  // Validate rating if provided
-  const numericRating = rating !== undefined ? Number(rating) : undefined;
-  if (numericRating !== undefined && (numericRating < 1 || numericRating > 5)) {
-    return res.status(400).json({ message: 'Rating must be between 1 and 5' });
-  }
+    const product = await Product.findById(req.params.id);
 
-  try {
-    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!ifMatchSatisfied(req, product)) {
+      return sendPreconditionFailed(res, 'Product');
+    }
+
+    const fields = Object.keys(req.body);
+    const before = {};
+    fields.forEach(field => {
+      before[field] = snapshot(product.get(field));
+    });
+    const auditBefore = productSnapshot(product);
+
+    const definitions = await getDefinitions();
+    const fieldErrors = [];
+    const attributePatch = {};
+    const previousImages = [product.image, product.thumbnail];
+
+    for (const [field, value] of Object.entries(req.body)) {
+      const rule = PRODUCT_PATCH_FIELDS[field];
+
+      if (rule) {
+        if (value === null && rule.required) {
+          fieldErrors.push({ path: field, msg: `${field} cannot be removed` });
+        } else if (value === null) {
+          product.set(field, rule.reset);
+        } else if (field === 'image') {
+          const processedImage = await resolveImageInput(value);
+          product.image = processedImage.image;
+          product.thumbnail = processedImage.thumbnail;
+        } else {
+          product.set(field, value);
+        }
+      } else if (isReservedKey(field)) {
+        fieldErrors.push({ path: field, msg: `${field} cannot be changed` });
+      } else if (value === null) {
+        // Removing an optional attribute, including legacy fields that were never registered
+        const definition = definitions.find(d => d.key === field);
+        if (definition && definition.required) {
+          fieldErrors.push({ path: field, msg: `${definition.label} is required` });
+        } else {
+          product.set(field, undefined);
+        }
+      } else {
+        attributePatch[field] = applyMergePatch(before[field], value);
+      }
+    }
+
+    const attributes = await validateAttributes(attributePatch);
+    const allErrors = fieldErrors.concat(attributes.errors);
+    if (allErrors.length > 0) {
+      return res.status(400).json({ errors: allErrors });
+    }
+
+    for (const [key, value] of Object.entries(attributes.values)) {
+      product.set(key, value);
+    }
+
+    const weightingChanged = product.isModified('ratingWeighting') || product.isModified('ratingWeightCap');
+
+    let updatedProduct = await saveProductRevision(product, previousImages);
+    if (!updatedProduct) {
+      return sendPreconditionFailed(res, 'Product');
+    }
+
+    // Clean up the replaced image files
+    if (product.image !== previousImages[0]) {
+      await removeStoredImages(...previousImages);
+    }
+
+    // A new weighting strategy invalidates the stored aggregates
+    if (weightingChanged) {
+      await recomputeProductRating(updatedProduct._id);
+      updatedProduct = await Product.findById(updatedProduct._id);
+    }
+
+    const after = {};
+    fields.forEach(field => {
+      after[field] = snapshot(updatedProduct.get(field));
+    });
+
+    await recordAudit(req, {
+      action: 'product.update',
+      target: auditTarget('product', updatedProduct),
+      before: auditBefore,
+      after: productSnapshot(updatedProduct)
+    });
+
+    const body = {
+      product: updatedProduct,
+      changes: diffFields(before, after, fields)
+    };
+    setETag(res, updatedProduct, body);
+    res.json(body);
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Add or Update product review (rating and/or comment)
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const addOrUpdateProductReview = async (req, res) => {
+  const { rating, comment, overridePlayTimeRequirement, overrideReason } = req.body;
+  const productId = req.params.id;
+  const userId = req.user._id;
+
+  // Basic validation: at least one of rating or comment must be provided
+  if (rating === undefined && comment === undefined) {
+    return res.status(400).json({ message: 'Rating or comment is required' });
+  }
+
+  // Validate rating if provided
+  const numericRating = rating !== undefined ? Number(rating) : undefined;
+  if (numericRating !== undefined && (numericRating < 1 || numericRating > 5)) {
+    return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
     const user = await User.findById(userId);
 
     if (!product) {
@@ -365,39 +1105,100 @@ const addOrUpdateProductReview = async (req, res) => {
       return res.status(404).json({ message: 'User not found' }); // Should not happen if protect middleware works
     }
 
-    // Prerequisite check: Playtime >= 1 hour (assuming 60 minutes)
+    // Apply any scheduled lock that came due since the scheduler last ran
+    syncReviewLocks(product);
+
+    // Prerequisite check: minutes played, set per game for rating and commenting
     const playTimeData = user.playTime.find(pt => pt.product.toString() === productId.toString());
     const userPlayTime = playTimeData ? playTimeData.time : 0;
-    const requiredPlayTime = 60; // e.g., 60 minutes
+    const requirements = getReviewRequirements(product);
+    const requiredPlayTime = Math.max(
+      numericRating !== undefined ? requirements.minPlayTimeToRate : 0,
+      comment !== undefined ? requirements.minPlayTimeToComment : 0
+    );
 
-    // Allow admins to bypass the playtime requirement
-    if (!req.user.isAdmin && userPlayTime < requiredPlayTime) {
-      return res.status(403).json({ message: `You must play the game for at least ${requiredPlayTime} minutes to rate or comment. Current playtime: ${userPlayTime} minutes.` });
+    // Staff can skip the requirement only by asking for it explicitly; the override is kept on the review
+    let playTimeOverride;
+    if (userPlayTime < requiredPlayTime) {
+      if (overridePlayTimeRequirement !== true && overridePlayTimeRequirement !== 'true') {
+        return res.status(403).json({
+          message: `You must play the game for at least ${requiredPlayTime} minutes to rate or comment. Current playtime: ${userPlayTime} minutes.`,
+          requiredPlayTime,
+          currentPlayTime: userPlayTime,
+          remainingPlayTime: requiredPlayTime - userPlayTime
+        });
+      }
+      if (!hasPermission(req.user.role, PERMISSIONS.REVIEWS_OVERRIDE_PLAYTIME)) {
+        return res.status(403).json({ message: 'Not authorized to override the playtime requirement' });
+      }
+      if (typeof overrideReason !== 'string' || overrideReason.trim() === '') {
+        return res.status(400).json({ message: 'A reason is required to override the playtime requirement' });
+      }
+      playTimeOverride = {
+        reason: overrideReason.trim(),
+        playTime: userPlayTime,
+        requiredPlayTime,
+        at: new Date()
+      };
     }
 
-    // Admin disable check
+    // Admin disable check, with the reason and re-open time of a scheduled lock
     if (numericRating !== undefined && product.disableRating) {
-      return res.status(403).json({ message: 'Rating is disabled for this product by the administrator.' });
+      return res.status(403).json({
+        message: 'Rating is disabled for this product by the administrator.',
+        ...describeLock(product, 'rating')
+      });
     }
     if (comment !== undefined && product.disableCommenting) {
-        return res.status(403).json({ message: 'Commenting is disabled for this product by the administrator.' });
+        return res.status(403).json({
+          message: 'Commenting is disabled for this product by the administrator.',
+          ...describeLock(product, 'commenting')
+        });
     }
 
     const reviewIndex = product.reviews.findIndex(
       (r) => r.user.toString() === userId.toString()
     );
 
+    // Hidden reviews stay hidden when edited and may not count towards the rating
+    const previousRating = reviewIndex > -1 ? effectiveRating(product.reviews[reviewIndex]) : undefined;
+
     let message = 'Review updated';
+    let created = false;
     if (reviewIndex > -1) {
-      // Update existing review
-      if (numericRating !== undefined) {
-        product.reviews[reviewIndex].rating = numericRating;
+      const existingReview = product.reviews[reviewIndex];
+
+      // Keep the previous version before changing the rating or comment
+      const ratingChanged = numericRating !== undefined && numericRating !== existingReview.rating;
+      const commentChanged = comment !== undefined && comment !== existingReview.comment;
+      if (ratingChanged || commentChanged || existingReview.deletedAt) {
+        existingReview.revisions.push({
+          rating: existingReview.rating,
+          comment: existingReview.comment,
+          editedAt: new Date(),
+        });
       }
-      if (comment !== undefined) {
-        // Overwrite existing comment
-        product.reviews[reviewIndex].comment = comment;
+
+      if (existingReview.deletedAt) {
+        // Reviewing again after deleting starts a fresh review (the old one is in the history)
+        existingReview.rating = numericRating;
+        existingReview.comment = comment;
+        existingReview.deletedAt = undefined;
+        existingReview.deletedBy = undefined;
+        created = true;
+        message = 'Review added';
+      } else {
+        // Update existing review
+        if (numericRating !== undefined) {
+          existingReview.rating = numericRating;
+        }
+        if (comment !== undefined) {
+          // Overwrite existing comment
+          existingReview.comment = comment;
+        }
       }
-      product.reviews[reviewIndex].name = user.name; // Update name in case it changed
+      existingReview.name = user.name; // Update name in case it changed
+      product.numReviews = product.visibleReviews().length;
     } else {
       // Add new review
       if (numericRating === undefined && comment === undefined) {
@@ -411,16 +1212,22 @@ const addOrUpdateProductReview = async (req, res) => {
         comment: comment,       // Will be undefined if not provided
       };
       product.reviews.push(newReview);
-      product.numReviews = product.reviews.length;
+      product.numReviews = product.visibleReviews().length;
+      created = true;
       message = 'Review added';
     }
 
+    const review = product.reviews.find(r => r.user.toString() === userId.toString());
+    if (playTimeOverride) {
+      review.playTimeOverrides.push(playTimeOverride);
+    }
+
     await product.save();
 
-    // Update weighted rating asynchronously (no need to wait)
-    updateWeightedProductRating(productId).catch(err => console.error("Failed to update rating in background:", err));
+    // Shift the weighted rating aggregates by the change in this user's rating
+    await applyRatingChange(productId, userPlayTime, previousRating, effectiveRating(review));
 
-    res.status(reviewIndex > -1 ? 200 : 201).json({ message });
+    res.status(created ? 201 : 200).json({ message });
 
   } catch (error) {
     console.error(error);
@@ -428,14 +1235,525 @@ const addOrUpdateProductReview = async (req, res) => {
   }
 };
 
-// @desc    Play a game
-// @route   POST /api/products/:id/play
+// @desc    Report a review for moderation
+// @route   POST /api/products/:id/reviews/:reviewId/report
 // @access  Private
+const reportReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, details } = req.body;
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review || review.deletedAt || review.status === 'hidden') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+    if (review.reports.some(report => report.user.toString() === req.user._id.toString())) {
+      return res.status(400).json({ message: 'You have already reported this review' });
+    }
+
+    review.reports.push({ user: req.user._id, reason, details });
+    review.openReports += 1;
+    await product.save();
+
+    res.status(201).json({ message: 'Review reported' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Moderation queue: reviews with open reports, most reported first
+// @route   GET /api/products/reviews/reported
+// @access  Private/Admin
+const getReportedReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    // Reviews deleted by their author are no longer public and drop out of the queue
+    const reviewMatch = { 'reviews.openReports': { $gt: 0 }, 'reviews.deletedAt': null };
+    if (req.query.status) {
+      reviewMatch['reviews.status'] = req.query.status === 'visible' ? { $ne: 'hidden' } : 'hidden';
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: { 'reviews.openReports': { $gt: 0 } } },
+      { $unwind: '$reviews' },
+      { $match: reviewMatch },
+      { $sort: { 'reviews.openReports': -1, 'reviews.updatedAt': 1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: limit * (page - 1) },
+            { $limit: limit },
+            {
+              $project: {
+                _id: '$reviews._id',
+                product: { _id: '$_id', name: '$name' },
+                user: '$reviews.user',
+                name: '$reviews.name',
+                rating: '$reviews.rating',
+                comment: '$reviews.comment',
+                status: { $ifNull: ['$reviews.status', 'visible'] },
+                openReports: '$reviews.openReports',
+                // Only the reports made since the last moderation decision
+                reports: { $slice: ['$reviews.reports', { $multiply: [-1, '$reviews.openReports'] }] },
+                createdAt: '$reviews.createdAt',
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      reviews: result.reviews,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Hide, restore or remove a single review
+// @route   PUT /api/products/:id/reviews/:reviewId/moderate
+// @access  Private/Admin
+const moderateReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, reason } = req.body;
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const reviewer = await User.findById(review.user).select('playTime');
+    const playTimeData = reviewer && reviewer.playTime.find(pt => pt.product.toString() === product._id.toString());
+    const reviewerPlayTime = playTimeData ? playTimeData.time : 0;
+    const previousRating = effectiveRating(review);
+
+    if (action === 'remove' && review.deletedAt) {
+      return res.status(400).json({ message: 'Review is already removed' });
+    }
+
+    let message;
+    if (action === 'remove') {
+      // Soft-deleted like an author's own deletion, so it keeps its history and can be restored
+      review.deletedAt = new Date();
+      review.deletedBy = req.user._id;
+      message = 'Review removed';
+    } else if (action === 'hide') {
+      review.status = 'hidden';
+      message = 'Review hidden';
+    } else {
+      // Brings back a hidden or removed review; on a visible one it dismisses the open reports
+      review.status = 'visible';
+      review.deletedAt = undefined;
+      review.deletedBy = undefined;
+      message = 'Review restored';
+    }
+    review.openReports = 0;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationReason = reason;
+
+    product.numReviews = product.visibleReviews().length;
+    await product.save();
+
+    const newRating = effectiveRating(review);
+    await applyRatingChange(product._id, reviewerPlayTime, previousRating, newRating);
+
+    res.json({ message, reviewId: review._id, action, reason });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Vote a review helpful or unhelpful
+// @route   POST /api/products/:id/reviews/:reviewId/vote
+// @access  Private
+const voteReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const helpful = req.body.helpful === true || req.body.helpful === 'true';
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review || review.deletedAt || review.status === 'hidden') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    // One vote per user: voting again replaces the previous vote
+    const existingVote = review.votes.find(vote => vote.user.toString() === req.user._id.toString());
+    if (existingVote) {
+      existingVote.helpful = helpful;
+    } else {
+      review.votes.push({ user: req.user._id, helpful });
+    }
+    review.helpfulVotes = review.votes.filter(vote => vote.helpful).length;
+    review.unhelpfulVotes = review.votes.length - review.helpfulVotes;
+
+    await product.save();
+
+    res.status(existingVote ? 200 : 201).json({
+      message: existingVote ? 'Vote updated' : 'Vote recorded',
+      helpfulVotes: review.helpfulVotes,
+      unhelpfulVotes: review.unhelpfulVotes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get the edit history of a review
+// @route   GET /api/products/:id/reviews/:reviewId/history
+// @access  Private (review author or moderators)
+const getReviewHistory = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name reviews');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user.role, PERMISSIONS.REVIEWS_MODERATE)) {
+      return res.status(403).json({ message: 'Not authorized to view this review history' });
+    }
+
+    res.json({
+      reviewId: review._id,
+      gameId: product._id,
+      gameName: product.name,
+      user: review.user,
+      current: {
+        rating: review.rating,
+        comment: review.comment,
+        status: review.status,
+        updatedAt: review.updatedAt,
+        deletedAt: review.deletedAt,
+      },
+      // Newest first
+      revisions: [...review.revisions].reverse(),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Delete one's own review (soft delete)
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review || review.deletedAt) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only delete your own review' });
+    }
+
+    const previousRating = effectiveRating(review);
+
+    review.deletedAt = new Date();
+    review.deletedBy = req.user._id;
+    product.numReviews = product.visibleReviews().length;
+    await product.save();
+
+    const playTimeData = req.user.playTime.find(pt => pt.product.toString() === product._id.toString());
+    await applyRatingChange(product._id, playTimeData ? playTimeData.time : 0, previousRating, undefined);
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Restore a deleted review
+// @route   PUT /api/products/:id/reviews/:reviewId/restore
+// @access  Private/Admin
+const restoreReview = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!review.deletedAt) {
+      return res.status(400).json({ message: 'Review is not deleted' });
+    }
+
+    review.deletedAt = undefined;
+    review.deletedBy = undefined;
+    product.numReviews = product.visibleReviews().length;
+    await product.save();
+
+    const reviewer = await User.findById(review.user).select('playTime');
+    const playTimeData = reviewer && reviewer.playTime.find(pt => pt.product.toString() === product._id.toString());
+    await applyRatingChange(product._id, playTimeData ? playTimeData.time : 0, undefined, effectiveRating(review));
+
+    res.json({ message: 'Review restored' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Shared by the single and bulk review enable/disable endpoints
+async function toggleProductReviews(req, res, disable) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const targets = reviewToggleTargets(req.body);
+    if (!targets.rating && !targets.commenting) {
+      return res.status(400).json({ message: 'Select rating, commenting or both' });
+    }
+
+    // Single game from the URL, or the list of IDs for the bulk variant
+    const productIds = req.params.id ? [req.params.id] : [...new Set(req.body.productIds)];
+    const update = buildReviewToggleUpdate(disable, targets, req.body.reason, req.user._id);
+
+    await Product.updateMany({ _id: { $in: productIds } }, update);
+    await detachLockFields(productIds, Object.keys(targets).filter(field => targets[field]));
+
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('name disableRating disableCommenting');
+
+    if (req.params.id) {
+      if (products.length === 0) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      return res.json(products[0]);
+    }
+
+    const found = products.map(product => product._id.toString());
+    res.json({
+      updated: products,
+      notFound: productIds.filter(id => !found.includes(id))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+}
+
+// @desc    Disable rating and/or commenting for a product
+// @route   POST /api/products/:id/reviews/disable
+// @access  Private/Admin
+const disableProductReviews = (req, res) => toggleProductReviews(req, res, true);
+
+// @desc    Enable rating and/or commenting for a product
+// @route   POST /api/products/:id/reviews/enable
+// @access  Private/Admin
+const enableProductReviews = (req, res) => toggleProductReviews(req, res, false);
+
+// @desc    Disable rating and/or commenting for several products
+// @route   POST /api/products/reviews/disable
+// @access  Private/Admin
+const bulkDisableProductReviews = (req, res) => toggleProductReviews(req, res, true);
+
+// @desc    Enable rating and/or commenting for several products
+// @route   POST /api/products/reviews/enable
+// @access  Private/Admin
+const bulkEnableProductReviews = (req, res) => toggleProductReviews(req, res, false);
+
+// @desc    Schedule a window that disables rating and/or commenting
+// @route   POST /api/products/:id/review-locks
+// @access  Private/Admin
+const createReviewLock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { rating, commenting } = selectedReviewFlags(req.body);
+    const { reason } = req.body;
+    const now = new Date();
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : now;
+    const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : undefined;
+
+    if (!rating && !commenting) {
+      return res.status(400).json({ message: 'Lock rating, commenting or both' });
+    }
+    if (endsAt && endsAt <= startsAt) {
+      return res.status(400).json({ message: 'The lock must end after it starts' });
+    }
+    if (endsAt && endsAt <= now) {
+      return res.status(400).json({ message: 'The lock must end in the future' });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.reviewLocks.push({
+      rating,
+      commenting,
+      startsAt,
+      endsAt,
+      reason,
+      user: req.user._id,
+    });
+    const lock = product.reviewLocks[product.reviewLocks.length - 1];
+
+    // A lock starting now takes effect right away instead of on the next scheduler run
+    syncReviewLocks(product, now);
+    await product.save();
+
+    res.status(201).json(lock);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    List a product's review locks (scheduled, active and past)
+// @route   GET /api/products/:id/review-locks
+// @access  Private/Admin
+const getReviewLocks = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+      .select('name disableRating disableCommenting reviewLocks')
+      .populate('reviewLocks.user', 'name');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({
+      gameId: product._id,
+      gameName: product.name,
+      disableRating: product.disableRating,
+      disableCommenting: product.disableCommenting,
+      locks: [...product.reviewLocks].sort((a, b) => b.startsAt - a.startsAt)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Cancel a review lock (re-opens reviews if it was active)
+// @route   DELETE /api/products/:id/review-locks/:lockId
+// @access  Private/Admin
+const cancelReviewLock = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const lock = product.reviewLocks.id(req.params.lockId);
+    if (!lock) {
+      return res.status(404).json({ message: 'Review lock not found' });
+    }
+    if (!['pending', 'active'].includes(lock.status)) {
+      return res.status(400).json({ message: `Review lock is already ${lock.status}` });
+    }
+
+    const wasActive = lock.status === 'active';
+    lock.status = 'cancelled';
+    if (wasActive) {
+      releaseLock(product, lock);
+    }
+    await product.save();
+
+    res.json({ message: 'Review lock cancelled', disableRating: product.disableRating, disableCommenting: product.disableCommenting });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Manually credit playtime (admin adjustment)
+// @route   POST /api/products/:id/play
+// @access  Private/Admin
 const playGame = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { time } = req.body;
     const productId = req.params.id;
-    const userId = req.user._id;
+    const userId = req.body.userId || req.user._id; // Defaults to the admin's own account
 
     // Validate time
     const playTime = Number(time);
@@ -444,7 +1762,7 @@ const playGame = async (req, res) => {
     }
 
     // Check if product exists
-    const product = await Product.findById(productId);
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
     if (!product) {
       return res.status(404).json({ message: 'Game not found' });
     }
@@ -455,37 +1773,239 @@ const playGame = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update user's playtime for this product
-    const playTimeIndex = user.playTime.findIndex(
-      (pt) => pt.product.toString() === productId.toString()
-    );
+    // Record the adjustment in the playtime ledger
+    const endedAt = new Date();
+    const session = await PlaySession.create({
+      user: user._id,
+      product: productId,
+      startedAt: new Date(endedAt.getTime() - playTime * 60 * 1000),
+      endedAt,
+      minutes: playTime,
+      source: 'admin',
+    });
 
-    if (playTimeIndex > -1) {
-      // Update existing playtime
-      user.playTime[playTimeIndex].time += playTime;
-    } else {
-      // Add new playtime entry
-      user.playTime.push({
-        product: productId,
-        time: playTime
+    const updatedPlayTime = await creditPlayTime(user._id, productId, playTime);
+
+    res.status(200).json({ 
+      message: 'Playtime updated successfully',
+      playTime: updatedPlayTime,
+      sessionId: session._id
+    });
+
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Start a server-tracked play session
+// @route   POST /api/products/:id/sessions/start
+// @access  Private
+const startPlaySession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = req.params.id;
+    const userId = req.user._id;
+
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
+    if (!product) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    const now = new Date();
+    // A user plays one game at a time, so this is the active session for any game
+    const activeSession = await PlaySession.findOne({ user: userId, status: 'active' });
+    let endedSession;
+
+    if (activeSession) {
+      const sameGame = activeSession.product.toString() === product._id.toString();
+
+      if (sameGame && !isSessionStale(activeSession, now)) {
+        return res.status(200).json({
+          message: 'Play session already active',
+          session: activeSession,
+          maxHeartbeatGapSeconds: MAX_HEARTBEAT_GAP_SECONDS
+        });
+      }
+
+      // Switching games stops the other session; an abandoned session is
+      // closed at its last heartbeat without crediting the idle gap
+      await endPlaySession(activeSession, now);
+      if (!sameGame) {
+        endedSession = { sessionId: activeSession._id, product: activeSession.product, minutesCredited: activeSession.minutes };
+      }
+    }
+
+    const session = await PlaySession.create({
+      user: userId,
+      product: productId,
+      startedAt: now,
+      lastHeartbeatAt: now,
+      status: 'active',
+      source: 'tracked',
+    });
+
+    res.status(201).json({
+      message: 'Play session started',
+      session,
+      endedSession,
+      maxHeartbeatGapSeconds: MAX_HEARTBEAT_GAP_SECONDS
+    });
+  } catch (error) {
+    console.error(error);
+    // A parallel start request created the active session first
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A play session is already active' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Keep a play session alive
+// @route   POST /api/products/:id/sessions/heartbeat
+// @access  Private
+const heartbeatPlaySession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await PlaySession.findOne({
+      user: req.user._id,
+      product: req.params.id,
+      status: 'active'
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'No active play session for this game' });
+    }
+
+    const now = new Date();
+
+    if (isSessionStale(session, now)) {
+      const playTime = await completePlaySession(session, session.lastHeartbeatAt);
+      return res.status(409).json({
+        message: 'Play session expired after inactivity. Start a new session to continue.',
+        minutesCredited: session.minutes,
+        playTime
       });
     }
 
-    await user.save();
+    session.recordHeartbeat(now, MAX_HEARTBEAT_GAP_SECONDS);
+    await session.save();
 
-    // Update weighted rating in background
-    updateWeightedProductRating(productId).catch(err => 
-      console.error(`Failed to update rating after playtime update: ${err}`)
-    );
+    res.json({
+      sessionId: session._id,
+      activeSeconds: Math.floor(session.activeSeconds),
+      lastHeartbeatAt: session.lastHeartbeatAt
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
 
-    // Return updated playtime for this product
-    const updatedPlayTime = user.playTime.find(pt => pt.product.toString() === productId.toString());
-    
-    res.status(200).json({ 
-      message: 'Playtime updated successfully',
-      playTime: updatedPlayTime.time
+// @desc    Stop a play session and credit the measured playtime
+// @route   POST /api/products/:id/sessions/stop
+// @access  Private
+const stopPlaySession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await PlaySession.findOne({
+      user: req.user._id,
+      product: req.params.id,
+      status: 'active'
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'No active play session for this game' });
+    }
+
+    const playTime = await endPlaySession(session, new Date());
+
+    res.json({
+      message: 'Play session stopped',
+      sessionId: session._id,
+      minutesCredited: session.minutes,
+      playTime
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Show how each reviewer contributes to a product's weighted rating
+// @route   GET /api/products/:id/rating/breakdown
+// @access  Public
+const getProductRatingBreakdown = async (req, res) => {
+  try {
+    const breakdown = await getRatingBreakdown(req.params.id);
+
+    if (!breakdown) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(breakdown);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Recompute a product's weighted rating from scratch and report drift
+// @route   POST /api/products/:id/rating/recompute
+// @access  Private/Admin
+const recomputeRating = async (req, res) => {
+  try {
+    const result = await recomputeProductRating(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({
+      productId: req.params.id,
+      ...result
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Recompute every product's weighted rating from scratch and report drift
+// @route   POST /api/products/ratings/recompute
+// @access  Private/Admin
+const recomputeAllRatings = async (req, res) => {
+  try {
+    // Archived games keep their frozen ratings until they are restored
+    const productIds = await Product.distinct('_id', { archivedAt: null });
+
+    const results = [];
+    for (const productId of productIds) {
+      const result = await recomputeProductRating(productId);
+      if (result) {
+        results.push({ productId, ...result });
+      }
+    }
 
+    res.json({
+      productsChecked: results.length,
+      productsWithDrift: results.filter(result =>
+        Object.values(result.drift).some(value => Math.abs(value) > 1e-9)
+      ).length,
+      results
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -497,36 +2017,32 @@ const playGame = async (req, res) => {
 // @access  Public
 const getDetailedProducts = async (req, res) => {
   try {
-    // Fetch all products
-    const products = await Product.find({}).populate('reviews.user', 'name');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const reviewLimit = req.query.reviewLimit !== undefined ? Number(req.query.reviewLimit) : 5;
+    const sortKey = PRODUCT_SORT_OPTIONS[req.query.sort] ? req.query.sort : 'newest';
+    const filter = buildProductFilter(req.query);
+
+    // Fetch one page of products, with each reviewer's playtime in a single populate query
+    const total = await Product.countDocuments(filter);
+    const products = await Product.find(filter)
+      .sort(PRODUCT_SORT_OPTIONS[sortKey])
+      .skip(limit * (page - 1))
+      .limit(limit)
+      .populate('reviews.user', 'name playTime deactivatedAt');
+    const definitions = await getDefinitions();
     
-    // For each product, calculate total playtime and sort reviews by user playtime
-    const detailedProducts = await Promise.all(products.map(async (product) => {
-      // Find all users who played this game
-      const usersWhoPlayed = await User.find({ 'playTime.product': product._id })
-        .select('_id name playTime');
-      
-      // Calculate total playtime
-      let totalPlayTime = 0;
-      usersWhoPlayed.forEach(user => {
-        const gamePlayData = user.playTime.find(pt => pt.product.toString() === product._id.toString());
-        if (gamePlayData) {
-          totalPlayTime += gamePlayData.time;
-        }
-      });
-      
-      // Create a playtime map for each user who left a review
-      const userPlaytimeMap = {};
-      usersWhoPlayed.forEach(user => {
-        const gamePlayData = user.playTime.find(pt => pt.product.toString() === product._id.toString());
-        if (gamePlayData) {
-          userPlaytimeMap[user._id.toString()] = gamePlayData.time;
-        }
-      });
-      
+    // Total playtime is stored on the product; sort reviews by user playtime
+    const detailedProducts = products.map((product) => {
       // Add userPlayTime to each review and sort by playtime
-      const reviewsWithPlaytime = product.reviews.map(review => {
-        const userPlayTime = userPlaytimeMap[review.user._id.toString()] || 0;
+      const reviewsWithPlaytime = product.listedReviews().map(review => {
+        const gamePlayData = review.user.playTime.find(pt => pt.product.toString() === product._id.toString());
+        const userPlayTime = gamePlayData ? gamePlayData.time : 0;
         return {
           user: {
             _id: review.user._id,
@@ -539,46 +2055,67 @@ const getDetailedProducts = async (req, res) => {
         };
       }).sort((a, b) => b.userPlayTime - a.userPlayTime);
       
+      const attributes = describeAttributes(product, definitions);
+
       // Return product with additional information
       return {
         _id: product._id,
         name: product.name,
         image: product.image,
+        thumbnail: product.thumbnail,
         brand: product.brand,
         category: product.category,
         description: product.description,
-        playTime: totalPlayTime,
+        playTime: product.totalPlayTime,
+        uniquePlayers: product.uniquePlayers,
         rating: product.rating,
         numReviews: product.numReviews,
         disableRating: product.disableRating,
         disableCommenting: product.disableCommenting,
-        reviews: reviewsWithPlaytime,
-        // Add any additional fields that are present in the product
-        ...Object.keys(product._doc)
-          .filter(key => !['_id', 'name', 'image', 'brand', 'category', 'description', 
-                           'playTime', 'rating', 'numReviews', 'disableRating', 
-                           'disableCommenting', 'reviews', '__v', 'createdAt', 
-                           'updatedAt', 'user'].includes(key))
-          .reduce((obj, key) => {
-            obj[key] = product[key];
-            return obj;
-          }, {})
+        ratingWeighting: product.ratingWeighting,
+        // Only the top reviews are embedded; the rest are on the comments endpoint
+        reviews: reviewsWithPlaytime.slice(0, reviewLimit),
+        totalReviews: reviewsWithPlaytime.length,
+        commentsUrl: `/api/products/${product._id}/comments`,
+        // Registered optional attributes with their type metadata
+        attributes,
+        // Also flattened onto the game for existing clients
+        ...attributes.reduce((obj, attribute) => {
+          obj[attribute.key] = attribute.value;
+          return obj;
+        }, {})
       };
-    }));
+    });
     
-    res.json({ games: detailedProducts });
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      games: detailedProducts,
+      page,
+      limit,
+      total,
+      pages,
+      next: page < pages ? page + 1 : null,
+      prev: page > 1 ? page - 1 : null
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
 };
 
-// @desc    Fetch product comments sorted by user playtime
+// @desc    Fetch product comments (sorted by user playtime unless sort is given)
 // @route   GET /api/products/:id/comments
 // @access  Public
 const getProductComments = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('reviews.user', 'name');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sortKey = COMMENT_SORT_OPTIONS[req.query.sort] ? req.query.sort : 'playtime';
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null }).populate('reviews.user', 'name deactivatedAt');
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -597,24 +2134,28 @@ const getProductComments = async (req, res) => {
       }
     });
     
-    // Add userPlayTime to each review and sort by playtime
-    const commentsWithPlaytime = product.reviews.map(review => {
+    // Add userPlayTime to each review and sort
+    const commentsWithPlaytime = product.listedReviews().map(review => {
       const userPlayTime = userPlaytimeMap[review.user._id.toString()] || 0;
       return {
+        _id: review._id,
         user: {
           _id: review.user._id,
           name: review.user.name
         },
         comment: review.comment,
         rating: review.rating,
+        helpfulVotes: review.helpfulVotes,
+        unhelpfulVotes: review.unhelpfulVotes,
         userPlayTime: userPlayTime,
         createdAt: review.createdAt
       };
-    }).sort((a, b) => b.userPlayTime - a.userPlayTime);
+    }).sort(COMMENT_SORT_OPTIONS[sortKey]);
     
     res.json({
       gameId: product._id,
       gameName: product.name,
+      sort: sortKey,
       comments: commentsWithPlaytime
     });
   } catch (error) {
@@ -625,12 +2166,39 @@ const getProductComments = async (req, res) => {
 
 module.exports = {
   getProducts,
+  searchProducts,
   getProductById,
   deleteProduct,
+  restoreProduct,
+  getArchivedProducts,
+  purgeArchivedProducts,
   createProduct,
   updateProduct,
+  patchProduct,
+  uploadProductImage,
+  updateProductImage,
   addOrUpdateProductReview,
+  reportReview,
+  getReportedReviews,
+  moderateReview,
+  voteReview,
+  getReviewHistory,
+  deleteReview,
+  restoreReview,
+  disableProductReviews,
+  enableProductReviews,
+  bulkDisableProductReviews,
+  bulkEnableProductReviews,
+  createReviewLock,
+  getReviewLocks,
+  cancelReviewLock,
   playGame,
+  startPlaySession,
+  heartbeatPlaySession,
+  stopPlaySession,
+  getProductRatingBreakdown,
+  recomputeRating,
+  recomputeAllRatings,
   getDetailedProducts,
   getProductComments
 };
\ No newline at end of file
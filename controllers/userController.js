@@ -1,16 +1,115 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const PlaySession = require('../models/PlaySession');
+const RefreshToken = require('../models/RefreshToken');
+const Follow = require('../models/Follow');
 const mongoose = require('mongoose');
+const { applyPlayTimeChange } = require('../services/ratingService');
+const { ROLES, ROLE_PERMISSIONS, PERMISSIONS, hasPermission, isDemotion } = require('../config/roles');
+const { isPlainObject, snapshot, diffFields } = require('../services/mergePatch');
+const { planUserDeletion, deleteUserCascade } = require('../services/deletionService');
+const { userSnapshot, auditTarget, recordAudit } = require('../services/auditLog');
+const { ACCOUNT_DELETION_GRACE_DAYS, deletionDateFrom } = require('../services/accountLifecycle');
+const { getActivityFeed } = require('../services/activityFeed');
+const {
+  setETag,
+  ifMatchSatisfied,
+  claimRevision,
+  isConflictError,
+  sendPreconditionFailed
+} = require('../services/concurrency');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+// A rebuild that keeps racing playtime credits gives up after this many tries
+const MAX_PLAYTIME_REBUILD_ATTEMPTS = 5;
+
+// Fields an admin can change with PATCH /api/users/:id
+const USER_PATCH_FIELDS = ['name', 'email', 'role'];
+
+// Generate short-lived JWT access token
+// The token version lets us revoke every outstanding access token at once
+const generateToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Issue a refresh token and store its hash server-side
+const generateRefreshToken = async (user, req, family) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  return refreshToken;
+};
+
+// Revoke every refresh token and access token of a user
+// Call it once the change that warrants it is saved, so a rejected update leaves
+// the sessions alone. tokenVersion is bumped with its own atomic update.
+const revokeAllSessions = async (user) => {
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  const { tokenVersion } = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+  user.tokenVersion = tokenVersion;
+};
+
+// Revoke a user's tokens after a saved role change took any permission away
+const revokeSessionsIfDemoted = async (previousRole, user) => {
+  if (isDemotion(previousRole, user.role)) {
+    await revokeAllSessions(user);
+  }
+};
+
+// Save a profile or admin update only if nobody saved the user since it was loaded
+// Returns null on a conflict
+const saveUserRevision = async (user) => {
+  claimRevision(user);
+  try {
+    return await user.save();
+  } catch (error) {
+    if (isConflictError(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// The user's playtime entries for games that are not archived; user pages leave archived games out
+const listedPlayTime = async (user) => {
+  const archivedIds = await Product.distinct('_id', {
+    _id: { $in: user.playTime.map(pt => pt.product) },
+    archivedAt: { $ne: null }
   });
+  const archived = archivedIds.map(id => id.toString());
+  return user.playTime.filter(pt => !archived.includes(pt.product.toString()));
 };
 
+// Audit an admin update of a user; role changes are recorded as 'user.role'
+const recordUserUpdate = (req, before, user) =>
+  recordAudit(req, {
+    action: before.role !== user.role ? 'user.role' : 'user.update',
+    target: auditTarget('user', user),
+    before,
+    after: userSnapshot(user)
+  });
+
 // @desc    Register a new user
 // @route   POST /api/users
 // @access  Public
@@ -43,7 +142,9 @@ const registerUser = async (req, res) => {
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        token: generateToken(user._id),
+        role: user.role,
+        token: generateToken(user),
+        refreshToken: await generateRefreshToken(user, req),
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -70,12 +171,21 @@ const loginUser = async (req, res) => {
     const user = await User.findOne({ email });
 
     if (user && (await user.matchPassword(password))) {
+      if (user.deactivatedAt) {
+        return res.status(403).json({
+          message: 'This account is deactivated. Contact support to reactivate it.',
+          deletionScheduledFor: user.deletionScheduledFor
+        });
+      }
+
       res.json({
         _id: user._id,
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        token: generateToken(user._id),
+        role: user.role,
+        token: generateToken(user),
+        refreshToken: await generateRefreshToken(user, req),
       });
     } else {
       res.status(401).json({ message: 'Invalid email or password' });
@@ -86,6 +196,108 @@ const loginUser = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access token (rotating the refresh token)
+// @route   POST /api/users/token/refresh
+// @access  Public
+const refreshAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically: of two requests presenting it at once, only one rotates it
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now } },
+      { new: true }
+    );
+
+    if (!storedToken) {
+      const revokedToken = await RefreshToken.findOne({ tokenHash });
+      if (!revokedToken) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      // A revoked token being presented again means it was copied: revoke the whole chain
+      await RefreshToken.updateMany(
+        { family: revokedToken.family, revokedAt: { $exists: false } },
+        { revokedAt: now }
+      );
+      return res.status(401).json({ message: 'Refresh token has been revoked' });
+    }
+
+    if (storedToken.expiresAt <= now) {
+      return res.status(401).json({ message: 'Refresh token has expired' });
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const refreshToken = await generateRefreshToken(user, req, storedToken.family);
+
+    await RefreshToken.updateOne(
+      { _id: storedToken._id },
+      { replacedByHash: RefreshToken.hashToken(refreshToken) }
+    );
+
+    res.json({
+      token: generateToken(user),
+      refreshToken
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Log out the current device by revoking its refresh token
+// @route   POST /api/users/logout
+// @access  Public
+const logoutUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await RefreshToken.updateOne(
+      { tokenHash: RefreshToken.hashToken(req.body.refreshToken), revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Log out all devices by revoking every token of the user
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllDevices = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeAllSessions(user);
+
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -94,12 +306,16 @@ const getUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id);
 
     if (user) {
-      res.json({
+      const body = {
         _id: user._id,
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-      });
+        role: user.role,
+        privacy: user.privacy,
+      };
+      setETag(res, user, body);
+      res.json(body);
     } else {
       res.status(404).json({ message: 'User not found' });
     }
@@ -117,6 +333,10 @@ const updateUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id);
 
     if (user) {
+      if (!ifMatchSatisfied(req, user)) {
+        return sendPreconditionFailed(res, 'Profile');
+      }
+
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
 
@@ -124,14 +344,24 @@ const updateUserProfile = async (req, res) => {
         user.password = req.body.password;
       }
 
-      const updatedUser = await user.save();
+      const updatedUser = await saveUserRevision(user);
+      if (!updatedUser) {
+        return sendPreconditionFailed(res, 'Profile');
+      }
+
+      // A password change signs out every other device
+      if (req.body.password) {
+        await revokeAllSessions(updatedUser);
+      }
 
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
-        token: generateToken(updatedUser._id),
+        role: updatedUser.role,
+        token: generateToken(updatedUser),
+        refreshToken: req.body.password ? await generateRefreshToken(updatedUser, req) : undefined,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -142,12 +372,205 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Download all of the user's personal data
+// @route   GET /api/users/profile/export
+// @access  Private
+const exportUserData = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const userId = user._id.toString();
+    const isUser = (id) => id.toString() === userId;
+
+    // Games with the user's reviews, votes or reports
+    const products = await Product.find({
+      $or: [{ 'reviews.user': user._id }, { 'reviews.votes.user': user._id }, { 'reviews.reports.user': user._id }]
+    }).select('name reviews');
+    const playSessions = await PlaySession.find({ user: user._id }).sort({ startedAt: 1 });
+    const refreshTokens = await RefreshToken.find({ user: user._id }).sort({ createdAt: 1 });
+    const following = await Follow.find({ follower: user._id }).populate('following', 'name').sort({ createdAt: 1 });
+    const followers = await Follow.find({ following: user._id }).populate('follower', 'name').sort({ createdAt: 1 });
+
+    // Game names for every reference, archived games included
+    const playedGames = await Product.find({
+      _id: { $in: user.playTime.map(pt => pt.product).concat(playSessions.map(session => session.product)) }
+    }).select('name');
+    const gameNames = new Map(
+      playedGames.concat(products).map(game => [game._id.toString(), game.name])
+    );
+    const gameRef = (id) => ({ _id: id, name: gameNames.get(id.toString()) || null });
+
+    const reviews = [];
+    const votes = [];
+    const reports = [];
+    products.forEach(product => {
+      product.reviews.forEach(review => {
+        if (isUser(review.user)) {
+          reviews.push({
+            _id: review._id,
+            game: gameRef(product._id),
+            rating: review.rating,
+            comment: review.comment,
+            status: review.status,
+            createdAt: review.createdAt,
+            updatedAt: review.updatedAt,
+            deletedAt: review.deletedAt,
+            revisions: review.revisions
+          });
+        }
+        review.votes.filter(vote => isUser(vote.user)).forEach(vote => {
+          votes.push({ game: gameRef(product._id), review: review._id, helpful: vote.helpful });
+        });
+        review.reports.filter(report => isUser(report.user)).forEach(report => {
+          reports.push({
+            game: gameRef(product._id),
+            review: review._id,
+            reason: report.reason,
+            details: report.details,
+            createdAt: report.createdAt
+          });
+        });
+      });
+    });
+
+    res.set('Content-Disposition', `attachment; filename="user-data-${userId}.json"`);
+    res.json({
+      exportedAt: new Date(),
+      profile: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        privacy: user.privacy,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      playTime: user.playTime.map(pt => ({ game: gameRef(pt.product), minutes: pt.time })),
+      playSessions: playSessions.map(session => ({
+        game: gameRef(session.product),
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        minutes: session.minutes,
+        source: session.source,
+        status: session.status
+      })),
+      reviews,
+      votes,
+      reports,
+      following: following.map(follow => ({ user: follow.following, followedAt: follow.createdAt })),
+      followers: followers.map(follow => ({ user: follow.follower, followedAt: follow.createdAt })),
+      logins: refreshTokens.map(token => ({
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        revokedAt: token.revokedAt,
+        ip: token.createdByIp,
+        userAgent: token.userAgent
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Deactivate own account
+// @route   POST /api/users/profile/deactivate
+// @access  Private
+const deactivateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    const before = userSnapshot(user);
+    user.deactivatedAt = new Date();
+    await user.save();
+    // Signs out every device; login stays blocked until support reactivates the account
+    await revokeAllSessions(user);
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      target: auditTarget('user', user),
+      before,
+      after: userSnapshot(user)
+    });
+
+    res.json({
+      message: 'Account deactivated. Contact support to reactivate it.',
+      deactivatedAt: user.deactivatedAt
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Request permanent deletion of own account
+// @route   POST /api/users/profile/deletion
+// @access  Private
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    // The account is deactivated at once and deleted when the grace period ends
+    const before = userSnapshot(user);
+    const now = new Date();
+    user.deactivatedAt = now;
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = deletionDateFrom(now);
+    await user.save();
+    await revokeAllSessions(user);
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      target: auditTarget('user', user),
+      before,
+      after: userSnapshot(user),
+      details: { deletionRequested: true }
+    });
+
+    res.json({
+      message: `Account deactivated. It will be permanently deleted after ${ACCOUNT_DELETION_GRACE_DAYS} days unless support reactivates it before then.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
 const getUsers = async (req, res) => {
   try {
-    const users = await User.find({});
+    const users = await User.find({}).select('-password');
     res.json(users);
   } catch (error) {
     console.error(error);
@@ -155,129 +578,163 @@ const getUsers = async (req, res) => {
   }
 };
 
+// @desc    Get user by ID
+// @route   GET /api/users/:id
+// @access  Private/Admin
+const getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // The ETag's revision is what PUT/PATCH If-Match headers are checked against
+    setETag(res, user, user);
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 const deleteUser = async (req, res) => {
   try {
-    const userId = req.params.id;
-    const user = await User.findById(userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // A dry run reports what would be deleted without changing anything
+    if (req.query.dryRun === 'true') {
+      const impact = await planUserDeletion(req.params.id);
+      if (!impact) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      return res.json({ dryRun: true, impact });
+    }
+
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get all products where this user has left a review or comment
-    const productsWithUserInteraction = await Product.find({
-      'reviews.user': new mongoose.Types.ObjectId(userId)
-    });
+    const result = await deleteUserCascade(user._id, { requestedBy: req.user._id });
 
-    // For each product, remove this user's reviews and recalculate ratings
-    for (const product of productsWithUserInteraction) {
-      // Remove user's reviews
-      product.reviews = product.reviews.filter(
-        review => review.user.toString() !== userId.toString()
-      );
-      
-      // Update review count
-      product.numReviews = product.reviews.length;
-      
-      // Save the updated product
-      await product.save();
-      
-      // Recalculate the weighted rating for this product
-      await updateWeightedProductRating(product._id.toString());
+    // Deleted between the lookup and the cascade
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete the user
-    await user.deleteOne();
-    
-    res.json({ message: 'User removed successfully and all associated data cleaned up' });
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: auditTarget('user', user),
+      before: userSnapshot(user),
+      details: result
+    });
+
+    res.json({
+      message: 'User removed successfully and all associated data cleaned up',
+      ...result
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
 };
 
-// Helper function to calculate and update weighted product rating
-// Copy from productController.js for reference - make sure it's consistent
-async function updateWeightedProductRating(productId) {
+// @desc    Reactivate a deactivated account, cancelling any pending deletion
+// @route   POST /api/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res) => {
   try {
-    const product = await Product.findById(productId);
+    const user = await User.findById(req.params.id);
 
-    if (!product) {
-      console.error(`Product not found for rating update: ${productId}`);
-      return;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
-
-    // Find all users who have played this game
-    const usersWhoPlayed = await User.find({ 'playTime.product': productId });
-
-    if (!usersWhoPlayed || usersWhoPlayed.length === 0) {
-      product.rating = 0; // No playtime, rating is 0
-      await product.save();
-      return;
+    if (!user.deactivatedAt) {
+      return res.status(400).json({ message: 'Account is not deactivated' });
     }
 
-    let weightedSum = 0;
-    let totalPlayTime = 0;
+    const before = userSnapshot(user);
+    user.deactivatedAt = undefined;
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
 
-    // Calculate total playtime for this game across all users
-    usersWhoPlayed.forEach(user => {
-      const gamePlayData = user.playTime.find(pt => pt.product.toString() === productId.toString());
-      if (gamePlayData) {
-        totalPlayTime += gamePlayData.time;
-      }
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      target: auditTarget('user', user),
+      before,
+      after: userSnapshot(user)
     });
 
-    // Calculate weighted sum from reviews, considering only users who have played
-    if (product.reviews && product.reviews.length > 0) {
-      for (const review of product.reviews) {
-        // Find the playtime for the user who wrote the review
-        const reviewingUser = usersWhoPlayed.find(u => u._id.toString() === review.user.toString());
-        if (reviewingUser) {
-          const gamePlayData = reviewingUser.playTime.find(pt => pt.product.toString() === productId.toString());
-          if (gamePlayData && gamePlayData.time > 0 && review.rating > 0) {
-            weightedSum += gamePlayData.time * review.rating;
-          }
-        }
-      }
-    }
-
-    // Update product rating (handle division by zero)
-    product.rating = totalPlayTime > 0 ? weightedSum / totalPlayTime : 0;
-
-    await product.save();
+    res.json({
+      message: 'Account reactivated',
+      _id: user._id,
+      deletionCancelled: Boolean(before.deletionScheduledFor)
+    });
   } catch (error) {
-    console.error(`Error updating weighted rating for product ${productId}:`, error);
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
   }
-}
+};
 
 // @desc    Update user by ID (Admin)
 // @route   PUT /api/users/:id
 // @access  Private/Admin
 const updateUser = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (user) {
+      if (!ifMatchSatisfied(req, user)) {
+        return sendPreconditionFailed(res, 'User');
+      }
+      const before = userSnapshot(user);
+
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
-      // Only allow admins to change the isAdmin status
-      user.isAdmin = req.body.isAdmin === undefined ? user.isAdmin : req.body.isAdmin;
+
+      // Legacy isAdmin flag maps onto roles: true grants super-admin, false removes any staff role
+      // (form-encoded bodies send it as the string "true" or "false")
+      const isAdmin = req.body.isAdmin === true || req.body.isAdmin === 'true';
+      if (req.body.isAdmin !== undefined && isAdmin !== user.isAdmin) {
+        if (!hasPermission(req.user.role, PERMISSIONS.USERS_ASSIGN_ROLES)) {
+          return res.status(403).json({ message: 'Not authorized to change user roles' });
+        }
+        user.role = isAdmin ? ROLES.SUPER_ADMIN : ROLES.USER;
+      }
 
       // Allow updating other fields if needed (optional)
       // user.playTime = req.body.playTime === undefined ? user.playTime : req.body.playTime;
       // user.rating = req.body.rating === undefined ? user.rating : req.body.rating;
       // Note: Handling comments array updates might require more specific logic
 
-      const updatedUser = await user.save();
+      const updatedUser = await saveUserRevision(user);
+      if (!updatedUser) {
+        return sendPreconditionFailed(res, 'User');
+      }
+
+      await revokeSessionsIfDemoted(before.role, updatedUser);
+      await recordUserUpdate(req, before, updatedUser);
 
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
+        role: updatedUser.role,
         playTime: updatedUser.playTime,
         comments: updatedUser.comments,
         rating: updatedUser.rating,
@@ -295,25 +752,115 @@ const updateUser = async (req, res) => {
   }
 };
 
-// @desc    Get user statistics (average rating, total playtime)
-// @route   GET /api/users/stats
-// @access  Private
-const getUserStats = async (req, res) => {
+// @desc    Partially update user by ID (JSON Merge Patch)
+// @route   PATCH /api/users/:id
+// @access  Private/Admin
+const patchUser = async (req, res) => {
   try {
-    const userId = req.user._id;
-    
-    // Get the user with playtime data
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ message: 'Patch must be a JSON object' });
+    }
+
+    const fields = Object.keys(req.body);
+    const unknownFields = fields.filter(field => !USER_PATCH_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        errors: unknownFields.map(field => ({ path: field, msg: `${field} cannot be changed` }))
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!ifMatchSatisfied(req, user)) {
+      return sendPreconditionFailed(res, 'User');
+    }
+
+    const before = {};
+    fields.forEach(field => {
+      before[field] = snapshot(user.get(field));
+    });
+    const auditBefore = userSnapshot(user);
+
+    if (req.body.name !== undefined) {
+      user.name = req.body.name;
+    }
+    if (req.body.email !== undefined) {
+      user.email = req.body.email;
+    }
+    if (req.body.role !== undefined && req.body.role !== user.role) {
+      if (!hasPermission(req.user.role, PERMISSIONS.USERS_ASSIGN_ROLES)) {
+        return res.status(403).json({ message: 'Not authorized to change user roles' });
+      }
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot change your own role' });
+      }
+      user.role = req.body.role;
+    }
+
+    const updatedUser = await saveUserRevision(user);
+    if (!updatedUser) {
+      return sendPreconditionFailed(res, 'User');
+    }
+
+    await revokeSessionsIfDemoted(auditBefore.role, updatedUser);
+    await recordUserUpdate(req, auditBefore, updatedUser);
+
+    const after = {};
+    fields.forEach(field => {
+      after[field] = snapshot(updatedUser.get(field));
+    });
+
+    res.json({
+      user: {
+        _id: updatedUser._id,
+        name: updatedUser.name,
+        email: updatedUser.email,
+        isAdmin: updatedUser.isAdmin,
+        role: updatedUser.role,
+      },
+      changes: diffFields(before, after, fields)
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get user statistics (average rating, total playtime)
+// @route   GET /api/users/stats
+// @access  Private
+const getUserStats = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    
+    // Get the user with playtime data
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const playTime = await listedPlayTime(user);
+    
+    // Calculate total playtime across all games
+    const totalPlayTime = playTime.reduce((total, game) => total + game.time, 0);
     
-    // Calculate total playtime across all games
-    const totalPlayTime = user.playTime.reduce((total, game) => total + game.time, 0);
-    
     // Get all products where this user has left a review
     const productsWithUserReviews = await Product.find({
+      archivedAt: null,
       'reviews.user': new mongoose.Types.ObjectId(userId)
     });
     
@@ -322,7 +869,7 @@ const getUserStats = async (req, res) => {
     let ratingCount = 0;
     
     productsWithUserReviews.forEach(product => {
-      const userReview = product.reviews.find(
+      const userReview = product.activeReviews().find(
         review => review.user.toString() === userId.toString()
       );
       
@@ -359,8 +906,10 @@ const getMostPlayedGame = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    const playTime = await listedPlayTime(user);
     
-    if (!user.playTime || user.playTime.length === 0) {
+    if (!playTime || playTime.length === 0) {
       return res.status(404).json({ message: 'No games played yet' });
     }
     
@@ -368,7 +917,7 @@ const getMostPlayedGame = async (req, res) => {
     let maxPlayTime = 0;
     let mostPlayedGameId = null;
     
-    user.playTime.forEach(game => {
+    playTime.forEach(game => {
       if (game.time > maxPlayTime) {
         maxPlayTime = game.time;
         mostPlayedGameId = game.product;
@@ -415,9 +964,12 @@ const getUserComments = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    const playTime = await listedPlayTime(user);
     
     // Get all products where this user has left a comment
     const products = await Product.find({
+      archivedAt: null,
       'reviews.user': new mongoose.Types.ObjectId(userId),
       'reviews.comment': { $exists: true, $ne: '' }
     });
@@ -426,13 +978,13 @@ const getUserComments = async (req, res) => {
     const comments = [];
     
     products.forEach(product => {
-      const userReview = product.reviews.find(
+      const userReview = product.activeReviews().find(
         review => review.user.toString() === userId.toString() && review.comment
       );
       
       if (userReview) {
         // Find playtime for this game
-        const playTimeEntry = user.playTime.find(
+        const playTimeEntry = playTime.find(
           pt => pt.product.toString() === product._id.toString()
         );
         
@@ -472,17 +1024,19 @@ const getUserDashboard = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    const playTime = await listedPlayTime(user);
     
     // 1. Calculate total playtime across all games
-    const totalPlayTime = user.playTime.reduce((total, game) => total + game.time, 0);
+    const totalPlayTime = playTime.reduce((total, game) => total + game.time, 0);
     
     // 2. Find most played game
     let mostPlayedGame = null;
     let maxPlayTime = 0;
     
-    if (user.playTime && user.playTime.length > 0) {
+    if (playTime && playTime.length > 0) {
       // Find game with max playtime
-      for (const game of user.playTime) {
+      for (const game of playTime) {
         if (game.time > maxPlayTime) {
           maxPlayTime = game.time;
           mostPlayedGame = game.product;
@@ -497,6 +1051,7 @@ const getUserDashboard = async (req, res) => {
     
     // 3. Get all products where this user has left a review
     const productsWithUserReviews = await Product.find({
+      archivedAt: null,
       'reviews.user': new mongoose.Types.ObjectId(userId)
     });
     
@@ -505,7 +1060,7 @@ const getUserDashboard = async (req, res) => {
     let ratingCount = 0;
     
     productsWithUserReviews.forEach(product => {
-      const userReview = product.reviews.find(
+      const userReview = product.activeReviews().find(
         review => review.user.toString() === userId.toString()
       );
       
@@ -521,13 +1076,13 @@ const getUserDashboard = async (req, res) => {
     const comments = [];
     
     for (const product of productsWithUserReviews) {
-      const userReview = product.reviews.find(
+      const userReview = product.activeReviews().find(
         review => review.user.toString() === userId.toString() && review.comment
       );
       
       if (userReview && userReview.comment) {
         // Find playtime for this game
-        const playTimeEntry = user.playTime.find(
+        const playTimeEntry = playTime.find(
           pt => pt.product.toString() === product._id.toString()
         );
         
@@ -552,13 +1107,13 @@ const getUserDashboard = async (req, res) => {
     // 6. Get all games the user has played
     const playedGames = [];
     
-    for (const playTime of user.playTime) {
-      const product = await Product.findById(playTime.product).select('_id name image category brand rating');
+    for (const gamePlayTime of playTime) {
+      const product = await Product.findById(gamePlayTime.product).select('_id name image category brand rating');
       
       if (product) {
         playedGames.push({
           game: product,
-          playTime: playTime.time
+          playTime: gamePlayTime.time
         });
       }
     }
@@ -577,7 +1132,7 @@ const getUserDashboard = async (req, res) => {
         totalPlayTime,
         averageRating,
         ratingCount,
-        gamesPlayedCount: user.playTime.length,
+        gamesPlayedCount: playTime.length,
         commentsCount: comments.length
       },
       mostPlayedGame: mostPlayedGame ? {
@@ -593,6 +1148,109 @@ const getUserDashboard = async (req, res) => {
   }
 };
 
+// User Page data of any user: average rating, total playtime, most played game and comments
+const buildUserPage = async (user) => {
+  const playTime = await listedPlayTime(user);
+  
+  // Calculate average rating given by the user
+  let averageRating = 0;
+  let ratingCount = 0;
+  
+  // Find all products rated by this user
+  const productsRated = await Product.find({ 'reviews.user': user._id, archivedAt: null })
+    .select('reviews');
+  
+  // Calculate user's average rating (reviews hidden by a moderator are left out)
+  productsRated.forEach(product => {
+    const userReview = product.visibleReviews().find(review => 
+      review.user.toString() === user._id.toString()
+    );
+    
+    if (userReview && userReview.rating) {
+      averageRating += userReview.rating;
+      ratingCount++;
+    }
+  });
+  
+  averageRating = ratingCount > 0 ? averageRating / ratingCount : 0;
+  
+  // Calculate total play time
+  let totalPlayTime = 0;
+  playTime.forEach(pt => {
+    totalPlayTime += pt.time;
+  });
+  
+  // Find most played game
+  let mostPlayedGame = null;
+  let maxPlayTime = 0;
+  
+  if (playTime.length > 0) {
+    // Sort playtime in descending order
+    const sortedPlayTime = [...playTime].sort((a, b) => b.time - a.time);
+    
+    if (sortedPlayTime.length > 0 && sortedPlayTime[0].time > 0) {
+      const gameId = sortedPlayTime[0].product;
+      const game = await Product.findById(gameId).select('_id name image category');
+      
+      if (game) {
+        mostPlayedGame = {
+          _id: game._id,
+          name: game.name,
+          image: game.image,
+          category: game.category,
+          playTime: sortedPlayTime[0].time
+        };
+        maxPlayTime = sortedPlayTime[0].time;
+      }
+    }
+  }
+  
+  // Get user's comments sorted by playtime
+  const userComments = [];
+  
+  // Find all games that the user has commented on
+  for (const pt of playTime) {
+    const game = await Product.findById(pt.product).select('_id name image category reviews');
+    
+    if (game) {
+      const userReview = game.visibleReviews().find(review => 
+        review.user.toString() === user._id.toString()
+      );
+      
+      if (userReview && userReview.comment) {
+        userComments.push({
+          gameId: game._id,
+          gameName: game.name,
+          gameImage: game.image,
+          category: game.category,
+          comment: userReview.comment,
+          playTime: pt.time,
+          rating: userReview.rating,
+          createdAt: userReview.createdAt
+        });
+      }
+    }
+  }
+  
+  // Sort comments by playtime (descending)
+  userComments.sort((a, b) => b.playTime - a.playTime);
+  
+  return {
+    userName: user.name,
+    averageRating,
+    totalPlayTime,
+    mostPlayedGame,
+    comments: userComments
+  };
+};
+
+// User Page sections the viewer may see: the user and staff who can read users
+// see everything, other players only what the user's privacy settings allow
+const visiblePageSections = (viewer, user) =>
+  viewer._id.toString() === user._id.toString() || hasPermission(viewer.role, PERMISSIONS.USERS_READ)
+    ? User.PRIVACY_SECTIONS
+    : User.PRIVACY_SECTIONS.filter(section => user.privacy[section] !== false);
+
 // @desc    Get complete user page data
 // @route   GET /api/users/page
 // @access  Private
@@ -603,97 +1261,420 @@ const getUserPage = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    // Calculate average rating given by the user
-    let averageRating = 0;
-    let ratingCount = 0;
-    
-    // Find all products rated by this user
-    const productsRated = await Product.find({ 'reviews.user': user._id })
-      .select('reviews');
-    
-    // Calculate user's average rating
-    productsRated.forEach(product => {
-      const userReview = product.reviews.find(review => 
-        review.user.toString() === user._id.toString()
-      );
-      
-      if (userReview && userReview.rating) {
-        averageRating += userReview.rating;
-        ratingCount++;
+
+    // Return complete user page data
+    res.json(await buildUserPage(user));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get another user's page data
+// @route   GET /api/users/:id/page
+// @access  Private
+const getPublicUserPage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    const isStaff = hasPermission(req.user.role, PERMISSIONS.USERS_READ);
+
+    // Deactivated accounts have no public page
+    if (!user || (user.deactivatedAt && !isStaff)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const page = await buildUserPage(user);
+    const visible = visiblePageSections(req.user, user);
+    const hiddenSections = User.PRIVACY_SECTIONS.filter(section => !visible.includes(section));
+
+    // Per-game playtime and ratings are as private as the total and the average,
+    // so comments are then ordered by date rather than by a value the viewer cannot see
+    if (hiddenSections.includes('totalPlayTime')) {
+      page.comments = page.comments
+        .map(({ playTime, ...comment }) => comment)
+        .sort((a, b) => b.createdAt - a.createdAt);
+      if (page.mostPlayedGame) {
+        delete page.mostPlayedGame.playTime;
       }
+    }
+    if (hiddenSections.includes('averageRating')) {
+      page.comments = page.comments.map(({ rating, ...comment }) => comment);
+    }
+
+    // Hidden sections are null rather than left out, so clients can tell them from missing data
+    hiddenSections.forEach(section => {
+      page[section] = null;
     });
-    
-    averageRating = ratingCount > 0 ? averageRating / ratingCount : 0;
-    
-    // Calculate total play time
-    let totalPlayTime = 0;
-    user.playTime.forEach(pt => {
-      totalPlayTime += pt.time;
+
+    res.json({ _id: user._id, ...page, hiddenSections });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Update which User Page sections other players can see
+// @route   PUT /api/users/profile/privacy
+// @access  Private
+const updatePrivacySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!ifMatchSatisfied(req, user)) {
+      return sendPreconditionFailed(res, 'Profile');
+    }
+
+    // Sections that are not supplied keep their current setting
+    User.PRIVACY_SECTIONS.forEach(section => {
+      if (req.body[section] !== undefined) {
+        user.privacy[section] = req.body[section];
+      }
     });
-    
-    // Find most played game
-    let mostPlayedGame = null;
-    let maxPlayTime = 0;
-    
-    if (user.playTime.length > 0) {
-      // Sort playtime in descending order
-      const sortedPlayTime = [...user.playTime].sort((a, b) => b.time - a.time);
-      
-      if (sortedPlayTime.length > 0 && sortedPlayTime[0].time > 0) {
-        const gameId = sortedPlayTime[0].product;
-        const game = await Product.findById(gameId).select('_id name image category');
-        
-        if (game) {
-          mostPlayedGame = {
-            _id: game._id,
-            name: game.name,
-            image: game.image,
-            category: game.category,
-            playTime: sortedPlayTime[0].time
-          };
-          maxPlayTime = sortedPlayTime[0].time;
-        }
+
+    const updatedUser = await saveUserRevision(user);
+    if (!updatedUser) {
+      return sendPreconditionFailed(res, 'Profile');
+    }
+
+    res.json({ privacy: updatedUser.privacy });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Entries of a user's following or followers list: the other user, when the
+// follow started, and whether it goes both ways. otherField is the side of the
+// follows that holds the other users ('following' or 'follower').
+const followEntries = async (userId, follows, otherField) => {
+  const selfField = otherField === 'following' ? 'follower' : 'following';
+  const otherIds = follows.map(follow => follow[otherField]);
+
+  const users = await User.find({ _id: { $in: otherIds }, deactivatedAt: null }).select('name');
+  const names = new Map(users.map(user => [user._id.toString(), user.name]));
+  const mutual = await Follow.distinct(selfField, { [selfField]: { $in: otherIds }, [otherField]: userId });
+  const mutualIds = mutual.map(id => id.toString());
+
+  return follows
+    .filter(follow => names.has(follow[otherField].toString()))
+    .map(follow => ({
+      _id: follow[otherField],
+      name: names.get(follow[otherField].toString()),
+      followedAt: follow.createdAt,
+      mutual: mutualIds.includes(follow[otherField].toString())
+    }));
+};
+
+// @desc    Follow a user
+// @route   POST /api/users/:id/follow
+// @access  Private
+const followUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const user = await User.findById(req.params.id).select('name deactivatedAt');
+
+    if (!user || user.deactivatedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    try {
+      await Follow.create({ follower: req.user._id, following: user._id });
+    } catch (error) {
+      // Following someone twice is not an error
+      if (error.code === 11000) {
+        return res.json({ message: 'Already following this user', _id: user._id, name: user.name });
       }
+      throw error;
     }
-    
-    // Get user's comments sorted by playtime
-    const userComments = [];
-    
-    // Find all games that the user has commented on
-    for (const pt of user.playTime) {
-      const game = await Product.findById(pt.product).select('_id name image category reviews');
-      
-      if (game) {
-        const userReview = game.reviews.find(review => 
-          review.user.toString() === user._id.toString()
-        );
-        
-        if (userReview && userReview.comment) {
-          userComments.push({
-            gameId: game._id,
-            gameName: game.name,
-            gameImage: game.image,
-            category: game.category,
-            comment: userReview.comment,
-            playTime: pt.time,
-            rating: userReview.rating,
-            createdAt: userReview.createdAt
-          });
-        }
+
+    res.status(201).json({ message: 'User followed', _id: user._id, name: user.name });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+const unfollowUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deletedCount } = await Follow.deleteOne({ follower: req.user._id, following: req.params.id });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: 'You are not following this user' });
+    }
+
+    res.json({ message: 'User unfollowed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get the users the logged-in user follows
+// @route   GET /api/users/following
+// @access  Private
+const getFollowing = async (req, res) => {
+  try {
+    const follows = await Follow.find({ follower: req.user._id }).sort({ createdAt: -1 });
+
+    const following = await followEntries(req.user._id, follows, 'following');
+
+    res.json({ following });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get the users following the logged-in user
+// @route   GET /api/users/followers
+// @access  Private
+const getFollowers = async (req, res) => {
+  try {
+    const follows = await Follow.find({ following: req.user._id }).sort({ createdAt: -1 });
+
+    const followers = await followEntries(req.user._id, follows, 'follower');
+
+    res.json({ followers });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get the activity feed of the users the logged-in user follows
+// @route   GET /api/users/feed
+// @access  Private
+const getFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = Number(req.query.pageNumber) || 1;
+
+    res.json(await getActivityFeed(req.user._id, { page }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get user's play session history
+// @route   GET /api/users/play-history
+// @access  Private
+const getPlayHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pageSize = 20;
+    const page = Number(req.query.pageNumber) || 1;
+
+    const filter = { user: req.user._id };
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const count = await PlaySession.countDocuments(filter);
+    const sessions = await PlaySession.find(filter)
+      .populate('product', 'name image')
+      .sort({ startedAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1));
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        game: session.product,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        minutes: session.minutes,
+        source: session.source
+      })),
+      page,
+      pages: Math.ceil(count / pageSize)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Filter that matches a user only while their playtime is still exactly as read
+const unchangedPlayTimeFilter = (userId, playTime) => ({
+  _id: userId,
+  playTime: { $size: playTime.length },
+  ...(playTime.length > 0 && {
+    $and: playTime.map(pt => ({ playTime: { $elemMatch: { product: pt.product, time: pt.time } } }))
+  })
+});
+
+// @desc    Rebuild user's playtime totals from the play session ledger
+// @route   POST /api/users/:id/playtime/rebuild
+// @access  Private/Admin
+const rebuildUserPlayTime = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Playtime recorded before the ledger existed has no sessions behind it;
+    // record it as a legacy session once so a rebuild does not drop it
+    const ledgerProducts = await PlaySession.distinct('product', { user: user._id });
+    const legacyEntries = user.playTime.filter(pt =>
+      pt.time > 0 && !ledgerProducts.some(id => id.toString() === pt.product.toString())
+    );
+    if (legacyEntries.length > 0) {
+      await PlaySession.insertMany(legacyEntries.map(pt => ({
+        user: user._id,
+        product: pt.product,
+        startedAt: user.createdAt,
+        endedAt: user.createdAt,
+        minutes: pt.time,
+        source: 'legacy'
+      })));
+    }
+
+    // Write the totals only if no play was credited since the user was read,
+    // otherwise read again, so a concurrent credit is never overwritten
+    let previousPlayTime;
+    let totals;
+    for (let attempt = 1; ; attempt++) {
+      const current = attempt === 1 ? user : await User.findById(user._id).select('playTime');
+      if (!current) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      previousPlayTime = current.playTime.map(pt => ({ product: pt.product, time: pt.time }));
+      totals = await PlaySession.totalsForUser(user._id);
+
+      const { matchedCount } = await User.updateOne(
+        unchangedPlayTimeFilter(user._id, previousPlayTime),
+        { $set: { playTime: totals } }
+      );
+      if (matchedCount === 1) {
+        break;
+      }
+      if (attempt === MAX_PLAYTIME_REBUILD_ATTEMPTS) {
+        return res.status(409).json({ message: 'Playtime kept changing during the rebuild, try again' });
       }
     }
-    
-    // Sort comments by playtime (descending)
-    userComments.sort((a, b) => b.playTime - a.playTime);
-    
-    // Return complete user page data
+
+    // Shift rating aggregates for every game whose total changed
+    const affectedProducts = new Set([
+      ...previousPlayTime.map(pt => pt.product.toString()),
+      ...totals.map(pt => pt.product.toString())
+    ]);
+    for (const productId of affectedProducts) {
+      const previous = previousPlayTime.find(pt => pt.product.toString() === productId);
+      const current = totals.find(pt => pt.product.toString() === productId);
+      const previousTime = previous ? previous.time : 0;
+      const playTimeDelta = (current ? current.time : 0) - previousTime;
+
+      if (playTimeDelta !== 0) {
+        await applyPlayTimeChange(productId, user._id, playTimeDelta, previousTime);
+      }
+    }
+
     res.json({
-      userName: user.name,
-      averageRating,
-      totalPlayTime,
-      mostPlayedGame,
-      comments: userComments
+      message: 'Playtime rebuilt from play session ledger',
+      legacySessionsCreated: legacyEntries.length,
+      previousPlayTime,
+      playTime: totals
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @desc    Get the role permission matrix
+// @route   GET /api/users/roles
+// @access  Private/Admin
+const getRoles = async (req, res) => {
+  res.json(
+    Object.values(ROLES).map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  );
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+const assignUserRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!ifMatchSatisfied(req, user)) {
+      return sendPreconditionFailed(res, 'User');
+    }
+
+    const before = userSnapshot(user);
+    user.role = req.body.role;
+    const updatedUser = await saveUserRevision(user);
+    if (!updatedUser) {
+      return sendPreconditionFailed(res, 'User');
+    }
+
+    // Taking permissions away signs the user out everywhere
+    await revokeSessionsIfDemoted(before.role, updatedUser);
+    await recordUserUpdate(req, before, updatedUser);
+
+    res.json({
+      _id: updatedUser._id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      isAdmin: updatedUser.isAdmin,
+      role: updatedUser.role,
+      permissions: ROLE_PERMISSIONS[updatedUser.role]
     });
   } catch (error) {
     console.error(error);
@@ -704,14 +1685,34 @@ const getUserPage = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
   getUserProfile,
   updateUserProfile,
+  exportUserData,
+  deactivateAccount,
+  requestAccountDeletion,
   getUsers,
+  getUserById,
   deleteUser,
+  reactivateUser,
   updateUser,
+  patchUser,
   getUserStats,
   getMostPlayedGame,
   getUserComments,
   getUserDashboard,
-  getUserPage
+  getUserPage,
+  getPublicUserPage,
+  updatePrivacySettings,
+  followUser,
+  unfollowUser,
+  getFollowing,
+  getFollowers,
+  getFeed,
+  getPlayHistory,
+  rebuildUserPlayTime,
+  getRoles,
+  assignUserRole
 };
\ No newline at end of file
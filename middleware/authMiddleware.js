@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../config/roles');
 
 const protect = async (req, res, next) => {
   let token;
@@ -18,6 +19,11 @@ const protect = async (req, res, next) => {
       // Get user from the token
       req.user = await User.findById(decoded.id).select('-password');
 
+      // Reject tokens issued before the user's sessions were revoked
+      if (!req.user || decoded.tv !== req.user.tokenVersion) {
+        return res.status(401).json({ message: 'Not authorized, token revoked' });
+      }
+
       next();
     } catch (error) {
       console.error(error);
@@ -30,13 +36,13 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Admin middleware
-const admin = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
+// Permission middleware: the user's role must grant every listed permission
+const authorize = (...permissions) => (req, res, next) => {
+  if (req.user && permissions.every(permission => hasPermission(req.user.role, permission))) {
     next();
   } else {
-    res.status(401).json({ message: 'Not authorized as an admin' });
+    res.status(403).json({ message: 'Not authorized for this action' });
   }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, authorize };
\ No newline at end of file
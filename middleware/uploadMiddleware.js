@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+
+// Keep uploads in memory; the image storage service validates and persists them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+});
+
+// Single image upload from the multipart "image" field
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image must be at most ${Math.floor(MAX_IMAGE_BYTES / (1024 * 1024))}MB`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Image file is required' });
+    }
+    next();
+  });
+};
+
+module.exports = { uploadImage };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const colors = require('colors'); // Optional: for colored console output
+const Product = require('./models/Product');
+const connectDB = require('./config/db');
+
+dotenv.config();
+
+const { decodeDataUrl, storeProductImage } = require('./services/imageStorage');
+
+// Move base64 images embedded in product documents to image storage,
+// keeping only the stored URLs (and a generated thumbnail) on each product.
+// Run with -n for a dry run that only reports what would be migrated.
+const migrateImages = async (dryRun) => {
+  await connectDB();
+
+  try {
+    const products = await Product.find({ image: /^data:/ }).select('_id name image');
+    console.log(`${products.length} products with embedded images found`.cyan);
+
+    let migrated = 0;
+    let failed = 0;
+
+    for (const product of products) {
+      const imageBuffer = decodeDataUrl(product.image);
+
+      if (!imageBuffer) {
+        console.log(`Skipping ${product.name}: not a base64 image`.grey);
+        failed++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`Would migrate ${product.name} (${imageBuffer.length} bytes)`.yellow);
+        continue;
+      }
+
+      try {
+        const stored = await storeProductImage(imageBuffer);
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { image: stored.image, thumbnail: stored.thumbnail } }
+        );
+        console.log(`Migrated ${product.name} -> ${stored.image}`.green);
+        migrated++;
+      } catch (error) {
+        console.error(`Failed to migrate ${product.name}: ${error.message}`.red);
+        failed++;
+      }
+    }
+
+    console.log(`Image migration complete: ${migrated} migrated, ${failed} failed`.green.inverse);
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`Error migrating images: ${error}`.red.inverse);
+    process.exit(1);
+  }
+};
+
+// --- Command Line Execution ---
+
+migrateImages(process.argv[2] === '-n');
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Registry of optional game attributes. Only attributes defined here can be
+// stored on a product, and their values are validated against the definition.
+const attributeDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Please add an attribute key'],
+      unique: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, 'Attribute key must start with a letter and contain only letters, digits and underscores'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Please add a display label'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['string', 'number', 'boolean', 'date', 'url', 'stringList', 'keyValue'],
+    },
+    description: {
+      type: String,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    validation: {
+      min: Number, // number
+      max: Number, // number
+      minLength: Number, // string
+      maxLength: Number, // string
+      pattern: String, // string: regular expression the value must match
+      allowedValues: [String], // string and stringList items
+      maxItems: Number, // stringList and keyValue entries
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Admin who defined the attribute
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AttributeDefinition = mongoose.model('AttributeDefinition', attributeDefinitionSchema);
+
+module.exports = AttributeDefinition;
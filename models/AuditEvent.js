@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'product.create',
+  'product.update',
+  'product.image',
+  'product.archive',
+  'product.restore',
+  'product.delete',
+  'user.update',
+  'user.role',
+  'user.deactivate',
+  'user.reactivate',
+  'user.delete',
+  'attribute.create',
+  'attribute.update',
+  'attribute.delete',
+];
+
+// Append-only record of a catalog or user management action: who did what to
+// which game, user or attribute, what it looked like before and after, and
+// which request did it. Events are never updated or deleted.
+const auditEventSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    // Copied at the time of the action; the actor may be renamed, demoted or deleted later
+    actorName: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    targetType: {
+      type: String,
+      required: true,
+      enum: ['product', 'user', 'attribute'],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    targetName: {
+      type: String,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed, // null for creations
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed, // null for deletions
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed, // { field: { from, to } } for updates
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed, // Extra context, e.g. what a deletion cascade removed
+    },
+    request: {
+      method: String,
+      path: String,
+      ip: String,
+      userAgent: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+
+// Enforce append-only: existing events cannot be saved again, updated or deleted
+const rejectChange = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditEventSchema.pre(
+  ['updateOne', 'deleteOne'],
+  { document: true, query: true },
+  rejectChange
+);
+auditEventSchema.pre(
+  ['updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany'],
+  rejectChange
+);
+
+auditEventSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Progress record for a user or game deletion that runs without a transaction.
+// Each step is idempotent and recorded once it finishes, so a job interrupted by
+// a crash is resumed from the first unfinished step when the server restarts.
+const deletionJobSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      required: true,
+      enum: ['user', 'product'],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId, // The user or product being deleted
+      required: true,
+    },
+    // What the deletion touches, captured before the first step runs
+    plan: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    completedSteps: [String],
+    // Counts reported by the finished steps
+    affected: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+deletionJobSchema.index({ status: 1 });
+deletionJobSchema.index({ kind: 1, target: 1 });
+
+const DeletionJob = mongoose.model('DeletionJob', deletionJobSchema);
+
+module.exports = DeletionJob;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One user following another. Follows are one-way; two users who follow each
+// other are friends.
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
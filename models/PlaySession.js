@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Each document is one entry in the playtime ledger. User.playTime is a derived
+// aggregate of these entries and can be rebuilt from them at any time.
+const playSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Product',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date, // Unset while the session is still active
+    },
+    minutes: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0,
+    },
+    source: {
+      type: String,
+      enum: ['tracked', 'admin', 'client', 'seed', 'legacy'], // Where the minutes came from
+      default: 'tracked',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed'],
+      default: 'completed',
+    },
+    // Server-measured tracking for sessions started through /sessions/start
+    lastHeartbeatAt: {
+      type: Date,
+    },
+    activeSeconds: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+playSessionSchema.index({ user: 1, product: 1 });
+playSessionSchema.index({ product: 1, startedAt: -1 });
+// At most one active session per user: playtime cannot be collected on several games at once
+playSessionSchema.index(
+  { user: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Sum the ledger per product for a user: [{ product, time }]
+// Active sessions have not been credited yet and are left out
+playSessionSchema.statics.totalsForUser = async function (userId) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), status: { $ne: 'active' } } },
+    { $group: { _id: '$product', time: { $sum: '$minutes' } } },
+  ]);
+
+  return totals.map(total => ({ product: total._id, time: total.time }));
+};
+
+// Credit the time since the last heartbeat, capping idle gaps at maxGapSeconds
+playSessionSchema.methods.recordHeartbeat = function (now, maxGapSeconds) {
+  const elapsedSeconds = Math.max(0, (now - this.lastHeartbeatAt) / 1000);
+  this.activeSeconds += Math.min(elapsedSeconds, maxGapSeconds);
+  this.lastHeartbeatAt = now;
+};
+
+const PlaySession = mongoose.model('PlaySession', playSessionSchema);
+
+module.exports = PlaySession;
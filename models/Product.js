@@ -1,5 +1,88 @@
 const mongoose = require('mongoose');
 
+const REPORT_REASONS = ['spam', 'offensive', 'spoiler', 'off-topic', 'other'];
+
+const reportSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A previous version of a review, saved whenever its rating or comment changes
+const revisionSchema = mongoose.Schema(
+  {
+    rating: {
+      type: Number,
+    },
+    comment: {
+      type: String,
+    },
+    editedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// One helpful/unhelpful vote per user on a review
+const voteSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Record of a review posted without the required playtime
+const playTimeOverrideSchema = mongoose.Schema(
+  {
+    reason: {
+      type: String,
+      required: true,
+    },
+    playTime: {
+      type: Number, // Reviewer's playtime when the override was used
+    },
+    requiredPlayTime: {
+      type: Number,
+    },
+    at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const reviewSchema = mongoose.Schema(
   {
     user: {
@@ -17,12 +100,130 @@ const reviewSchema = mongoose.Schema(
     comment: {
       type: String,
     },
+    // Moderation: hidden reviews stay stored but are left out of public listings
+    status: {
+      type: String,
+      enum: ['visible', 'hidden'],
+      default: 'visible',
+    },
+    reports: [reportSchema],
+    openReports: {
+      type: Number,
+      default: 0, // Reports since the last moderation decision
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    moderationReason: {
+      type: String,
+    },
+    revisions: [revisionSchema],
+    playTimeOverrides: [playTimeOverrideSchema],
+    votes: [voteSchema],
+    helpfulVotes: {
+      type: Number,
+      default: 0,
+    },
+    unhelpfulVotes: {
+      type: Number,
+      default: 0,
+    },
+    // Soft deletion: deleted reviews are kept so an admin can restore them
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A scheduled window during which rating and/or commenting is disabled
+// (services/reviewScheduler.js flips disableRating/disableCommenting at its start and end)
+const reviewLockSchema = mongoose.Schema(
+  {
+    rating: {
+      type: Boolean,
+      default: false,
+    },
+    commenting: {
+      type: Boolean,
+      default: false,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date, // Unset keeps the lock until it is cancelled
+    },
+    reason: {
+      type: String,
+      required: true, // Shown to users while the lock is active
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'completed', 'cancelled'],
+      default: 'pending',
+    },
+    // Fields ('rating', 'commenting') this lock disabled itself and re-enables when it ends.
+    // A field that was already disabled when the lock started is left as it was.
+    // Unset on locks created before this was tracked: they re-enable all their fields.
+    applied: {
+      type: [String],
+      default: undefined,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Staff member who scheduled it
+    },
   },
   {
     timestamps: true,
   }
 );
 
+const reviewToggleSchema = mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['enable', 'disable'],
+      required: true,
+    },
+    rating: {
+      type: Boolean,
+      default: false,
+    },
+    commenting: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const productSchema = mongoose.Schema(
   {
     user: {
@@ -35,9 +236,12 @@ const productSchema = mongoose.Schema(
       required: true,
     },
     image: {
-      type: String,
+      type: String, // URL of the stored image
       required: true,
     },
+    thumbnail: {
+      type: String, // URL of the generated thumbnail
+    },
     brand: {
       type: String,
       required: true,
@@ -64,6 +268,37 @@ const productSchema = mongoose.Schema(
       required: true,
       default: 0,
     },
+    // How playtime weighs each rating (see services/ratingService.js)
+    ratingWeighting: {
+      type: String,
+      enum: ['linear', 'log', 'capped'],
+      default: 'linear',
+    },
+    ratingWeightCap: {
+      type: Number, // Minutes, only used by the capped strategy
+      min: 1,
+    },
+    // Running aggregates behind the weighted rating
+    totalPlayTime: {
+      type: Number,
+      default: 0, // Minutes played by every player
+    },
+    uniquePlayers: {
+      type: Number,
+      default: 0, // Players with any playtime on this game
+    },
+    sumPlayTimeTimesRating: {
+      type: Number,
+      default: 0, // Σ(player playtime * player rating)
+    },
+    ratingWeightSum: {
+      type: Number,
+      default: 0, // Σ(weight(player playtime)) under ratingWeighting
+    },
+    weightedRatingSum: {
+      type: Number,
+      default: 0, // Σ(weight(player playtime) * player rating)
+    },
     numReviews: {
       type: Number,
       required: true,
@@ -77,6 +312,31 @@ const productSchema = mongoose.Schema(
       type: Boolean,
       default: false, // Admin control to disable commenting for this product
     },
+    reviewLocks: [reviewLockSchema],
+    // Who enabled or disabled rating/commenting through the dedicated endpoints, and why
+    reviewToggles: [reviewToggleSchema],
+    revision: {
+      type: Number, // Bumped by editor updates; used for ETag / If-Match checks
+      default: 0,
+    },
+    // Minutes of play needed before rating/commenting; unset uses the global default
+    minPlayTimeToRate: {
+      type: Number,
+      min: 0,
+    },
+    minPlayTimeToComment: {
+      type: Number,
+      min: 0,
+    },
+    // Archived games are hidden from the store and their ratings are frozen
+    // until they are restored or purged
+    archivedAt: {
+      type: Date,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     // Allow for additional optional fields through schema flexibility
   },
   {
@@ -85,6 +345,36 @@ const productSchema = mongoose.Schema(
   }
 );
 
+// Full-text search over name, developer and description, ranked by field
+productSchema.index(
+  { name: 'text', brand: 'text', description: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, brand: 5, description: 1 } }
+);
+productSchema.index({ category: 1 });
+productSchema.index({ totalPlayTime: -1 });
+productSchema.index({ uniquePlayers: -1 });
+productSchema.index({ 'reviews.openReports': 1 });
+productSchema.index({ 'reviewLocks.status': 1 });
+productSchema.index({ archivedAt: 1 });
+
+// Reviews that have not been deleted by their author
+productSchema.methods.activeReviews = function () {
+  return this.reviews.filter(review => !review.deletedAt);
+};
+
+// Reviews shown publicly (hidden reviews are only visible to moderators)
+productSchema.methods.visibleReviews = function () {
+  return this.activeReviews().filter(review => review.status !== 'hidden');
+};
+
+// Visible reviews minus those by deactivated accounts, for public comment lists
+// Expects reviews.user to be populated with deactivatedAt
+productSchema.methods.listedReviews = function () {
+  return this.visibleReviews().filter(review => !review.user.deactivatedAt);
+};
+
+productSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
\ No newline at end of file
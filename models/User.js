@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,10 +26,44 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
     },
     isAdmin: {
-      type: Boolean,
+      type: Boolean, // Kept in sync with role: true for every staff role
       required: true,
       default: false,
     },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      // Accounts created before roles existed keep full access if they were admins
+      default: function () {
+        return this.isAdmin ? ROLES.SUPER_ADMIN : ROLES.USER;
+      },
+    },
+    revision: {
+      type: Number, // Bumped by editor updates; used for ETag / If-Match checks
+      default: 0,
+    },
+    tokenVersion: {
+      type: Number, // Bumped to invalidate every access token issued so far
+      default: 0,
+    },
+    // Deactivated accounts cannot log in and their reviews are left out of comment lists
+    deactivatedAt: {
+      type: Date,
+    },
+    // Set when the user asks for their account to be deleted
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date, // End of the grace period; the account is deleted after this
+    },
+    // Which User Page sections other players can see; the user and staff always see everything
+    privacy: {
+      averageRating: { type: Boolean, default: true },
+      totalPlayTime: { type: Boolean, default: true },
+      mostPlayedGame: { type: Boolean, default: true },
+      comments: { type: Boolean, default: true },
+    },
     playTime: [
       {
         product: {
@@ -49,15 +84,27 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+userSchema.statics.PRIVACY_SECTIONS = ['averageRating', 'totalPlayTime', 'mostPlayedGame', 'comments'];
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Keep the legacy isAdmin flag in sync with the role
+userSchema.pre('save', function (next) {
+  if (this.isModified('role') || this.isNew) {
+    this.isAdmin = this.role !== ROLES.USER;
+  }
+  next();
+});
+
 // Encrypt password before saving to database
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
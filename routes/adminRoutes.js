@@ -0,0 +1,24 @@
+const express = require('express');
+const { check } = require('express-validator');
+const router = express.Router();
+const { getAuditEvents } = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+const AuditEvent = require('../models/AuditEvent');
+
+router.route('/audit').get(
+  protect,
+  authorize(PERMISSIONS.AUDIT_READ),
+  [
+    check('actor', 'Actor must be a valid user ID').optional().isMongoId(),
+    check('target', 'Target must be a valid ID').optional().isMongoId(),
+    check('targetType', 'Target type must be product, user or attribute').optional().isIn(['product', 'user', 'attribute']),
+    check('action', `Action must be one of: ${AuditEvent.AUDIT_ACTIONS.join(', ')}`).optional().isIn(AuditEvent.AUDIT_ACTIONS),
+    check('from', 'From must be an ISO 8601 date').optional().isISO8601(),
+    check('to', 'To must be an ISO 8601 date').optional().isISO8601(),
+    check('pageNumber', 'Page number must be a positive integer').optional().isInt({ min: 1 }),
+  ],
+  getAuditEvents
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { check } = require('express-validator');
+const router = express.Router();
+const {
+  getAttributes,
+  createAttribute,
+  updateAttribute,
+  deleteAttribute
+} = require('../controllers/attributeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+const { TYPE_VALIDATORS } = require('../services/attributeRegistry');
+
+const validationRules = [
+  check('validation', 'Validation rules must be an object').optional().isObject(),
+  check('validation.min', 'Minimum must be a number').optional().isNumeric(),
+  check('validation.max', 'Maximum must be a number').optional().isNumeric(),
+  check('validation.minLength', 'Minimum length must be a non-negative integer').optional().isInt({ min: 0 }),
+  check('validation.maxLength', 'Maximum length must be a positive integer').optional().isInt({ min: 1 }),
+  check('validation.maxItems', 'Maximum items must be a positive integer').optional().isInt({ min: 1 }),
+  check('validation.allowedValues', 'Allowed values must be a list').optional().isArray(),
+  check('validation.pattern', 'Pattern must be a valid regular expression').optional().custom(pattern => {
+    new RegExp(pattern);
+    return true;
+  }),
+];
+
+// Public routes
+router.route('/').get(getAttributes);
+
+// Admin routes
+router.route('/').post(
+  protect,
+  authorize(PERMISSIONS.ATTRIBUTES_MANAGE),
+  [
+    check('key', 'Key is required').not().isEmpty(),
+    check('label', 'Label is required').not().isEmpty(),
+    check('type', `Type must be one of: ${Object.keys(TYPE_VALIDATORS).join(', ')}`).isIn(Object.keys(TYPE_VALIDATORS)),
+    ...validationRules,
+  ],
+  createAttribute
+);
+
+router
+  .route('/:id')
+  .put(protect, authorize(PERMISSIONS.ATTRIBUTES_MANAGE), validationRules, updateAttribute)
+  .delete(protect, authorize(PERMISSIONS.ATTRIBUTES_MANAGE), deleteAttribute);
+
+module.exports = router;
@@ -3,22 +3,104 @@ const { check } = require('express-validator');
 const router = express.Router();
 const {
   getProducts,
+  searchProducts,
   getProductById,
   deleteProduct,
+  restoreProduct,
+  getArchivedProducts,
+  purgeArchivedProducts,
   createProduct,
   updateProduct,
+  patchProduct,
+  uploadProductImage,
+  updateProductImage,
   addOrUpdateProductReview,
+  reportReview,
+  getReportedReviews,
+  moderateReview,
+  voteReview,
+  getReviewHistory,
+  deleteReview,
+  restoreReview,
+  disableProductReviews,
+  enableProductReviews,
+  bulkDisableProductReviews,
+  bulkEnableProductReviews,
+  createReviewLock,
+  getReviewLocks,
+  cancelReviewLock,
   playGame,
+  startPlaySession,
+  heartbeatPlaySession,
+  stopPlaySession,
+  getProductRatingBreakdown,
+  recomputeRating,
+  recomputeAllRatings,
   getDetailedProducts,
   getProductComments
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+const { WEIGHTING_STRATEGIES } = require('../services/ratingService');
+const Product = require('../models/Product');
+
+// A malformed game ID in the URL is a 400 rather than a cast error
+const gameIdRule = check('id', 'Game ID must be valid').isMongoId();
+
+// Body of the review enable/disable endpoints
+const reviewToggleRules = [
+  check('rating', 'Rating must be true or false').optional().isBoolean({ strict: true }),
+  check('commenting', 'Commenting must be true or false').optional().isBoolean({ strict: true }),
+  check('reason', 'A reason is required (up to 500 characters)').isString().trim().isLength({ min: 1, max: 500 }),
+];
+const bulkReviewToggleRules = [
+  check('productIds', 'Product IDs must be a list of 1-100 IDs').isArray({ min: 1, max: 100 }),
+  check('productIds.*', 'Product IDs must be valid').isMongoId(),
+  ...reviewToggleRules,
+];
 
 // Public routes
 router.route('/').get(getProducts);
-router.route('/detailed').get(getDetailedProducts);
+router.route('/search').get(
+  [
+    check('q', 'Search text must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+    check('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    check('sort', 'Sort must be rating, playtime, players, newest or name').optional().isIn(['rating', 'playtime', 'players', 'newest', 'name']),
+    check('releaseDateFrom', 'Release date must be an ISO date (YYYY-MM-DD)').optional().isISO8601(),
+    check('releaseDateTo', 'Release date must be an ISO date (YYYY-MM-DD)').optional().isISO8601(),
+  ],
+  searchProducts
+);
+router.route('/detailed').get(
+  [
+    check('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    check('reviewLimit', 'Review limit must be between 0 and 50').optional().isInt({ min: 0, max: 50 }),
+    check('sort', 'Sort must be rating, playtime, players, newest or name').optional().isIn(['rating', 'playtime', 'players', 'newest', 'name']),
+    check('minRating', 'Minimum rating must be between 0 and 5').optional().isFloat({ min: 0, max: 5 }),
+  ],
+  getDetailedProducts
+);
+// Archive admin routes (declared before /:id so "archived" is not taken for an ID)
+router.route('/archived')
+  .get(protect, authorize(PERMISSIONS.PRODUCTS_DELETE), getArchivedProducts);
+router.route('/purge').post(
+  protect,
+  authorize(PERMISSIONS.PRODUCTS_PURGE),
+  [check('dryRun', 'dryRun must be true or false').optional().isBoolean()],
+  purgeArchivedProducts
+);
+
 router.route('/:id').get(getProductById);
-router.route('/:id/comments').get(getProductComments);
+router.route('/:id/comments').get(
+  [
+    check('sort', 'Sort must be playtime, helpful, newest or rating').optional().isIn(['playtime', 'helpful', 'newest', 'rating']),
+  ],
+  getProductComments
+);
+router.route('/:id/rating/breakdown').get(getProductRatingBreakdown);
 
 // Private routes
 router.route('/:id/reviews').post(
@@ -31,45 +113,172 @@ router.route('/:id/reviews').post(
   ],
   addOrUpdateProductReview
 );
+router.route('/:id/reviews/:reviewId/report').post(
+  protect,
+  [
+    check('reviewId', 'Review ID must be valid').isMongoId(),
+    check('reason', `Reason must be one of: ${Product.REPORT_REASONS.join(', ')}`).isIn(Product.REPORT_REASONS),
+    check('details', 'Details must be at most 500 characters').optional().isString().isLength({ max: 500 }),
+  ],
+  reportReview
+);
+router.route('/:id/reviews/:reviewId/vote').post(
+  protect,
+  [
+    check('reviewId', 'Review ID must be valid').isMongoId(),
+    check('helpful', 'Helpful must be true or false').isBoolean(),
+  ],
+  voteReview
+);
+router.route('/:id/reviews/:reviewId/history').get(protect, getReviewHistory);
+router.route('/:id/reviews/:reviewId').delete(protect, deleteReview);
 
+// Server-measured play sessions: playtime is credited on stop
+router.route('/:id/sessions/start').post(protect, [gameIdRule], startPlaySession);
+router.route('/:id/sessions/heartbeat').post(protect, [gameIdRule], heartbeatPlaySession);
+router.route('/:id/sessions/stop').post(protect, [gameIdRule], stopPlaySession);
+
+// Admin routes
 router.route('/:id/play').post(
   protect,
+  authorize(PERMISSIONS.PLAYTIME_ADJUST),
   [
-    check('time', 'Playtime in minutes is required').isNumeric().isInt({ min: 1 })
+    check('time', 'Playtime in minutes is required').isNumeric().isInt({ min: 1 }),
+    check('userId', 'User ID must be valid').optional().isMongoId()
   ],
   playGame
 );
 
-// Admin routes
+router.route('/reviews/reported').get(
+  protect,
+  authorize(PERMISSIONS.REVIEWS_MODERATE),
+  [
+    check('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    check('status', 'Status must be visible or hidden').optional().isIn(['visible', 'hidden']),
+  ],
+  getReportedReviews
+);
+
+router.route('/:id/reviews/:reviewId/moderate').put(
+  protect,
+  authorize(PERMISSIONS.REVIEWS_MODERATE),
+  [
+    check('reviewId', 'Review ID must be valid').isMongoId(),
+    check('action', 'Action must be hide, restore or remove').isIn(['hide', 'restore', 'remove']),
+    check('reason', 'A reason is required to hide or remove a review')
+      .if((value, { req }) => ['hide', 'remove'].includes(req.body.action))
+      .trim()
+      .notEmpty(),
+    check('reason', 'Reason must be at most 500 characters').optional().isString().isLength({ max: 500 }),
+  ],
+  moderateReview
+);
+
+router.route('/:id/reviews/:reviewId/restore')
+  .put(protect, authorize(PERMISSIONS.REVIEWS_MODERATE), restoreReview);
+
+// Bulk routes come before the /:id routes
+router.route('/reviews/disable')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), bulkReviewToggleRules, bulkDisableProductReviews);
+router.route('/reviews/enable')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), bulkReviewToggleRules, bulkEnableProductReviews);
+
+router.route('/:id/reviews/disable')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), [gameIdRule, ...reviewToggleRules], disableProductReviews);
+router.route('/:id/reviews/enable')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), [gameIdRule, ...reviewToggleRules], enableProductReviews);
+
+router
+  .route('/:id/review-locks')
+  .get(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), getReviewLocks)
+  .post(
+    protect,
+    authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS),
+    [
+      check('rating', 'Rating must be true or false').optional().isBoolean({ strict: true }),
+      check('commenting', 'Commenting must be true or false').optional().isBoolean({ strict: true }),
+      check('startsAt', 'Start must be an ISO 8601 date').optional().isISO8601(),
+      check('endsAt', 'End must be an ISO 8601 date').optional().isISO8601(),
+      check('reason', 'A reason is required (up to 500 characters)').isString().trim().isLength({ min: 1, max: 500 }),
+    ],
+    createReviewLock
+  );
+
+router.route('/:id/review-locks/:lockId')
+  .delete(protect, authorize(PERMISSIONS.PRODUCTS_TOGGLE_REVIEWS), cancelReviewLock);
+
+router.route('/:id/restore')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_DELETE), restoreProduct);
+
+router.route('/images')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_CREATE), uploadImage, uploadProductImage);
+
+router.route('/:id/image')
+  .post(protect, authorize(PERMISSIONS.PRODUCTS_UPDATE), uploadImage, updateProductImage);
+
+router.route('/ratings/recompute')
+  .post(protect, authorize(PERMISSIONS.RATINGS_RECOMPUTE), recomputeAllRatings);
+
+router.route('/:id/rating/recompute')
+  .post(protect, authorize(PERMISSIONS.RATINGS_RECOMPUTE), recomputeRating);
+
 router
   .route('/')
   .post(
     protect,
-    admin,
+    authorize(PERMISSIONS.PRODUCTS_CREATE),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('image', 'Image is required').not().isEmpty(),
       check('brand', 'Developer name is required').not().isEmpty(),
       check('category', 'Genre is required').isArray({ min: 1, max: 5 }),
+      check('ratingWeighting', 'Rating weighting must be linear, log or capped').optional().isIn(Object.keys(WEIGHTING_STRATEGIES)),
+      check('ratingWeightCap', 'Rating weight cap must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('minPlayTimeToRate', 'Minimum playtime to rate must be a non-negative number of minutes').optional().isInt({ min: 0 }),
+      check('minPlayTimeToComment', 'Minimum playtime to comment must be a non-negative number of minutes').optional().isInt({ min: 0 }),
     ],
     createProduct
   );
 
 router
   .route('/:id')
-  .delete(protect, admin, deleteProduct)
+  .delete(protect, authorize(PERMISSIONS.PRODUCTS_DELETE), deleteProduct)
   .put(
     protect,
-    admin,
+    authorize(PERMISSIONS.PRODUCTS_UPDATE),
     [
       check('name', 'Name is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('image', 'Image is required').not().isEmpty(),
       check('brand', 'Developer name is required').not().isEmpty(),
       check('category', 'Genre is required').optional().isArray({ min: 1, max: 5 }),
+      check('ratingWeighting', 'Rating weighting must be linear, log or capped').optional().isIn(Object.keys(WEIGHTING_STRATEGIES)),
+      check('ratingWeightCap', 'Rating weight cap must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('minPlayTimeToRate', 'Minimum playtime to rate must be a non-negative number of minutes').optional({ values: 'null' }).isInt({ min: 0 }),
+      check('minPlayTimeToComment', 'Minimum playtime to comment must be a non-negative number of minutes').optional({ values: 'null' }).isInt({ min: 0 }),
     ],
     updateProduct
+  )
+  .patch(
+    protect,
+    authorize(PERMISSIONS.PRODUCTS_UPDATE),
+    [
+      // Only supplied fields are checked; null removes optional fields (see the controller)
+      check('name', 'Name cannot be empty').optional().isString().trim().notEmpty(),
+      check('description', 'Description cannot be empty').optional().isString().trim().notEmpty(),
+      check('image', 'Image cannot be empty').optional().isString().notEmpty(),
+      check('brand', 'Developer name cannot be empty').optional().isString().trim().notEmpty(),
+      check('category', 'Genre must be a list of 1-5 genres').optional().isArray({ min: 1, max: 5 }),
+      check('disableRating', 'Disable rating must be true or false').optional({ values: 'null' }).isBoolean({ strict: true }),
+      check('disableCommenting', 'Disable commenting must be true or false').optional({ values: 'null' }).isBoolean({ strict: true }),
+      check('ratingWeighting', 'Rating weighting must be linear, log or capped').optional({ values: 'null' }).isIn(Object.keys(WEIGHTING_STRATEGIES)),
+      check('ratingWeightCap', 'Rating weight cap must be a positive number of minutes').optional({ values: 'null' }).isInt({ min: 1 }),
+      check('minPlayTimeToRate', 'Minimum playtime to rate must be a non-negative number of minutes').optional({ values: 'null' }).isInt({ min: 0 }),
+      check('minPlayTimeToComment', 'Minimum playtime to comment must be a non-negative number of minutes').optional({ values: 'null' }).isInt({ min: 0 }),
+    ],
+    patchProduct
   );
 
 module.exports = router;
\ No newline at end of file
@@ -4,18 +4,42 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
   getUserProfile,
   updateUserProfile,
+  exportUserData,
+  deactivateAccount,
+  requestAccountDeletion,
   getUsers,
+  getUserById,
   deleteUser,
+  reactivateUser,
   updateUser,
+  patchUser,
   getUserStats,
   getMostPlayedGame,
   getUserComments,
   getUserDashboard,
-  getUserPage
+  getUserPage,
+  getPublicUserPage,
+  updatePrivacySettings,
+  followUser,
+  unfollowUser,
+  getFollowing,
+  getFollowers,
+  getFeed,
+  getPlayHistory,
+  rebuildUserPlayTime,
+  getRoles,
+  assignUserRole
 } = require('../controllers/userController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS, ROLES } = require('../config/roles');
+
+// A malformed user ID in the URL is a 400 rather than a cast error
+const userIdRule = check('id', 'User ID must be valid').isMongoId();
 
 // Public routes
 router.post(
@@ -37,24 +61,124 @@ router.post(
   loginUser
 );
 
+router.post(
+  '/token/refresh',
+  [check('refreshToken', 'Refresh token is required').isString().not().isEmpty()],
+  refreshAccessToken
+);
+
+router.post(
+  '/logout',
+  [check('refreshToken', 'Refresh token is required').isString().not().isEmpty()],
+  logoutUser
+);
+
 // Private routes
+router.post('/logout-all', protect, logoutAllDevices);
+
 router.route('/profile')
   .get(protect, getUserProfile)
   .put(protect, updateUserProfile);
 
+// Account lifecycle (a password confirms the destructive actions)
+router.route('/profile/export').get(protect, exportUserData);
+router.route('/profile/deactivate').post(
+  protect,
+  [check('password', 'Password is required').not().isEmpty()],
+  deactivateAccount
+);
+router.route('/profile/deletion').post(
+  protect,
+  [check('password', 'Password is required').not().isEmpty()],
+  requestAccountDeletion
+);
+
+// Which User Page sections other players can see
+router.route('/profile/privacy').put(
+  protect,
+  [
+    check(['averageRating', 'totalPlayTime', 'mostPlayedGame', 'comments'], 'Privacy settings must be true or false')
+      .optional()
+      .isBoolean({ strict: true }),
+  ],
+  updatePrivacySettings
+);
+
 // User statistics routes
 router.route('/stats').get(protect, getUserStats);
 router.route('/most-played').get(protect, getMostPlayedGame);
 router.route('/comments').get(protect, getUserComments);
 router.route('/dashboard').get(protect, getUserDashboard);
 router.route('/page').get(protect, getUserPage);
+router.route('/play-history').get(
+  protect,
+  [
+    check('pageNumber', 'Page number must be a positive integer').optional().isInt({ min: 1 }),
+    check('product', 'Product ID must be valid').optional().isMongoId(),
+  ],
+  getPlayHistory
+);
+
+// Follows and the activity feed of followed users
+router.route('/following').get(protect, getFollowing);
+router.route('/followers').get(protect, getFollowers);
+router.route('/feed').get(
+  protect,
+  [check('pageNumber', 'Page number must be a positive integer').optional().isInt({ min: 1 })],
+  getFeed
+);
 
 // Admin routes
 router.route('/')
-  .get(protect, admin, getUsers);
+  .get(protect, authorize(PERMISSIONS.USERS_READ), getUsers);
+
+router.route('/roles')
+  .get(protect, authorize(PERMISSIONS.USERS_ASSIGN_ROLES), getRoles);
 
 router.route('/:id')
-  .delete(protect, admin, deleteUser)
-  .put(protect, admin, updateUser);
+  .get(protect, authorize(PERMISSIONS.USERS_READ), getUserById)
+  .delete(
+    protect,
+    authorize(PERMISSIONS.USERS_DELETE),
+    [check('dryRun', 'dryRun must be true or false').optional().isBoolean()],
+    deleteUser
+  )
+  .put(
+    protect,
+    authorize(PERMISSIONS.USERS_UPDATE),
+    [check('isAdmin', 'isAdmin must be true or false').optional().isBoolean({ strict: true })],
+    updateUser
+  )
+  .patch(
+    protect,
+    authorize(PERMISSIONS.USERS_UPDATE),
+    [
+      // Only supplied fields are checked; name, email and role cannot be removed
+      check('name', 'Name cannot be empty').optional().isString().trim().notEmpty(),
+      check('email', 'Please include a valid email').optional().isEmail(),
+      check('role', 'A valid role is required').optional().isIn(Object.values(ROLES)),
+    ],
+    patchUser
+  );
+
+router.route('/:id/role').put(
+  protect,
+  authorize(PERMISSIONS.USERS_ASSIGN_ROLES),
+  [check('role', 'A valid role is required').isIn(Object.values(ROLES))],
+  assignUserRole
+);
+
+// Any player's User Page, limited by their privacy settings
+router.route('/:id/page').get(protect, [userIdRule], getPublicUserPage);
+
+router.route('/:id/follow')
+  .post(protect, [userIdRule], followUser)
+  .delete(protect, [userIdRule], unfollowUser);
+
+router.route('/:id/reactivate')
+  .post(protect, authorize(PERMISSIONS.USERS_UPDATE), reactivateUser);
+
+router.route('/:id/playtime/rebuild')
+  .post(protect, authorize(PERMISSIONS.PLAYTIME_REBUILD), rebuildUserPlayTime);
 
 module.exports = router;
\ No newline at end of file
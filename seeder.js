@@ -3,16 +3,24 @@ const dotenv = require('dotenv');
 const colors = require('colors'); // Optional: for colored console output
 const User = require('./models/User');
 const Product = require('./models/Product');
+const PlaySession = require('./models/PlaySession');
+const AttributeDefinition = require('./models/AttributeDefinition');
+const Follow = require('./models/Follow');
+const RefreshToken = require('./models/RefreshToken');
+const DeletionJob = require('./models/DeletionJob');
 const connectDB = require('./config/db');
-// Import helper (or replicate logic) if needed for weighted rating calculation
-// const { updateWeightedProductRating } = require('./controllers/productController'); // Assuming export
+const { recomputeProductRating } = require('./services/ratingService');
 
 dotenv.config();
 
 // --- Sample Data ---
 
 const sampleUsers = [
-  { name: 'Admin User', email: 'admin@example.com', password: 'password123', isAdmin: true },
+  { name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'super_admin' },
+  // One account per staff role to exercise the permission matrix
+  { name: 'Cora Catalog', email: 'editor@example.com', password: 'password123', role: 'catalog_editor' },
+  { name: 'Milo Moderator', email: 'moderator@example.com', password: 'password123', role: 'moderator' },
+  { name: 'Sam Support', email: 'support@example.com', password: 'password123', role: 'support' },
   { name: 'Alice Wonderland', email: 'alice@example.com', password: 'password123' },
   { name: 'Bob The Builder', email: 'bob@example.com', password: 'password123' },
   { name: 'Charlie Chaplin', email: 'charlie@example.com', password: 'password123' },
@@ -22,7 +30,16 @@ const sampleUsers = [
   { name: 'George Jetson', email: 'george@example.com', password: 'password123' },
   { name: 'Hannah Montana', email: 'hannah@example.com', password: 'password123' },
   { name: 'Ian Malcolm', email: 'ian@example.com', password: 'password123' },
-  { name: 'Jane Doe', email: 'jane@example.com', password: 'password123' }, // 11 users
+  { name: 'Jane Doe', email: 'jane@example.com', password: 'password123' }, // 14 users
+];
+
+// Optional game attributes used by the sample products
+const sampleAttributes = [
+  { key: 'releaseDate', label: 'Release Date', type: 'date' },
+  { key: 'developer', label: 'Developer', type: 'string', validation: { maxLength: 100 } },
+  { key: 'platform', label: 'Platforms', type: 'stringList', validation: { maxItems: 10 } },
+  { key: 'voiceActing', label: 'Voice Acting', type: 'boolean' },
+  { key: 'soundtrackIncluded', label: 'Soundtrack Included', type: 'boolean' },
 ];
 
 const sampleProducts = [
@@ -57,6 +74,7 @@ const sampleProducts = [
     brand: 'Stellar Forge Inc.',
     category: ['Strategy', 'Sci-Fi', '4X'],
     description: 'Lead your civilization to galactic dominance through diplomacy, warfare, and exploration.',
+    ratingWeighting: 'log', // Long 4X sessions would otherwise drown out everyone else
   },
   {
     name: 'Zombie Survival Pro',
@@ -123,6 +141,17 @@ const simulateInteraction = async (user, product, time, rating, comment) => {
   }
   await user.save(); // Save user playtime update
 
+  // Record the same minutes in the playtime ledger
+  const endedAt = new Date();
+  await PlaySession.create({
+    user: user._id,
+    product: product._id,
+    startedAt: new Date(endedAt.getTime() - time * 60 * 1000),
+    endedAt,
+    minutes: time,
+    source: 'seed',
+  });
+
   // Simulate Rating/Comment (only if time >= 60 mins)
   if (time >= 60) {
     const reviewIndex = product.reviews.findIndex(r => r.user.toString() === user._id.toString());
@@ -165,51 +194,6 @@ const simulateInteraction = async (user, product, time, rating, comment) => {
   }
 };
 
-// Helper function to calculate and update weighted product rating (replicated from controller)
-async function updateWeightedProductRatingInSeeder(productId, allUsers, allProducts) {
-  try {
-    const product = allProducts.find(p => p._id.toString() === productId.toString());
-    if (!product) return;
-
-    let weightedSum = 0;
-    let totalPlayTime = 0;
-
-    // Find users who played this game from the createdUsers list
-    const usersWhoPlayed = allUsers.filter(user =>
-      user.playTime.some(pt => pt.product.toString() === productId.toString())
-    );
-
-    if (!usersWhoPlayed || usersWhoPlayed.length === 0) {
-      product.rating = 0;
-      await product.save();
-      return;
-    }
-
-    // Calculate total playtime and weighted sum
-    usersWhoPlayed.forEach(user => {
-      const gamePlayData = user.playTime.find(pt => pt.product.toString() === productId.toString());
-      if (gamePlayData) {
-        totalPlayTime += gamePlayData.time;
-
-        // Check if this user reviewed the game
-        const review = product.reviews.find(r => r.user.toString() === user._id.toString());
-        if (review && review.rating > 0 && gamePlayData.time > 0) {
-          weightedSum += gamePlayData.time * review.rating;
-        }
-      }
-    });
-
-    // Update product rating
-    product.rating = totalPlayTime > 0 ? weightedSum / totalPlayTime : 0;
-    await product.save();
-    console.log(`Calculated weighted rating for ${product.name}: ${product.rating}`.yellow);
-
-  } catch (error) {
-    console.error(`Error updating weighted rating for product ${productId} in seeder:`, error);
-  }
-}
-
-
 // --- Seeder Functions ---
 
 const importData = async () => {
@@ -217,7 +201,12 @@ const importData = async () => {
 
   try {
     // Clear existing data
+    await PlaySession.deleteMany();
+    await Follow.deleteMany();
+    await RefreshToken.deleteMany();
+    await DeletionJob.deleteMany();
     await Product.deleteMany();
+    await AttributeDefinition.deleteMany();
     await User.deleteMany();
     console.log('Data Cleared!'.red.inverse);
 
@@ -230,9 +219,14 @@ const importData = async () => {
     console.log(`${createdUsers.length} Users Imported!`.green.inverse);
 
     // Get the admin user
-    const adminUser = createdUsers.find((user) => user.isAdmin);
+    const adminUser = createdUsers.find((user) => user.role === 'super_admin');
     const productOwnerId = adminUser ? adminUser._id : createdUsers[0]._id; // Fallback to first user
 
+    await AttributeDefinition.insertMany(
+      sampleAttributes.map((attribute) => ({ ...attribute, user: productOwnerId }))
+    );
+    console.log(`${sampleAttributes.length} Attributes Imported!`.green.inverse);
+
     // Add the owner user ID to each sample product
     const productsWithOwner = sampleProducts.map((product) => {
       return { ...product, user: productOwnerId };
@@ -291,7 +285,8 @@ const importData = async () => {
 
     console.log('Recalculating weighted ratings for all products...'.yellow);
     for (const product of createdProducts) {
-      await updateWeightedProductRatingInSeeder(product._id, updatedUsers, createdProducts);
+      const { recomputed } = await recomputeProductRating(product._id);
+      console.log(`Calculated weighted rating for ${product.name}: ${recomputed.rating}`.yellow);
     }
 
     // --- Verification (Optional) ---
@@ -328,7 +323,12 @@ const destroyData = async () => {
   await connectDB(); // Connect using your db.js logic
 
   try {
+    await PlaySession.deleteMany();
+    await Follow.deleteMany();
+    await RefreshToken.deleteMany();
+    await DeletionJob.deleteMany();
     await Product.deleteMany();
+    await AttributeDefinition.deleteMany();
     await User.deleteMany();
 
     console.log('Data Destroyed!'.red.inverse);
@@ -11,30 +11,63 @@ dotenv.config();
 // Import routes
 const userRoutes = require('./routes/userRoutes');
 const productRoutes = require('./routes/productRoutes');
+const attributeRoutes = require('./routes/attributeRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { UPLOAD_DIR } = require('./services/imageStorage');
+const { startReviewScheduler } = require('./services/reviewScheduler');
+const { resumeDeletionJobs } = require('./services/deletionService');
+const { startAccountDeletionScheduler } = require('./services/accountLifecycle');
 
 // Initialize express app
 const app = express();
 
 // Middleware
-// Increase payload size limit (e.g., 50MB)
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Images are uploaded as multipart files, so JSON bodies stay small.
+// The limit still leaves room for legacy base64 images, which are moved to image storage.
+// PATCH endpoints also accept JSON Merge Patch bodies (application/merge-patch+json)
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '10mb',
+  type: ['application/json', 'application/merge-patch+json'],
+}));
+app.use(express.urlencoded({ limit: process.env.JSON_BODY_LIMIT || '10mb', extended: true }));
 app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
 
+// Serve images stored by the local image storage backend
+app.use(
+  '/uploads',
+  express.static(UPLOAD_DIR, {
+    setHeaders: (res) => {
+      // Allow the storefront on another origin to embed the images
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    },
+  })
+);
+
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    // Apply review locks that came due while the server was down, then keep checking
+    startReviewScheduler();
+    // Finish user/game deletions that were interrupted before the last shutdown
+    resumeDeletionJobs()
+      .catch((err) => console.error('Deletion job resume error:', err))
+      // Delete accounts whose deletion grace period has ended
+      .then(() => startAccountDeletionScheduler());
+  })
   .catch((err) => console.log('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/attributes', attributeRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Home route
 app.get('/', (req, res) => {
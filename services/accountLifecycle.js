@@ -0,0 +1,77 @@
+const User = require('../models/User');
+const { deleteUserCascade } = require('./deletionService');
+const { userSnapshot, auditTarget, recordAudit } = require('./auditLog');
+
+// Self-service account lifecycle. A deactivated account cannot log in and its
+// reviews are left out of comment lists. Asking for deletion deactivates the
+// account at once; the account is then deleted with the regular cascade when
+// the grace period ends, which leaves support time to cancel a request made by
+// mistake. Due deletions are processed in-process on an interval and at startup.
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const ACCOUNT_DELETION_INTERVAL_MINUTES = 60;
+
+// When an account whose deletion is requested now will be deleted
+const deletionDateFrom = (requestedAt) =>
+  new Date(requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Delete every account whose grace period has ended
+async function processDueAccountDeletions(now = new Date()) {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } });
+
+  let deleted = 0;
+  for (const user of users) {
+    try {
+      const result = await deleteUserCascade(user._id, { requestedBy: user._id });
+      if (!result) {
+        continue;
+      }
+      deleted += 1;
+
+      // The user asked for it, so they are recorded as the actor
+      await recordAudit(null, {
+        actor: user,
+        action: 'user.delete',
+        target: auditTarget('user', user),
+        before: userSnapshot(user),
+        details: { requestedAt: user.deletionRequestedAt, ...result },
+      });
+    } catch (error) {
+      console.error(`Account deletion for user ${user._id} failed:`, error.message);
+    }
+  }
+
+  return deleted;
+}
+
+let schedulerTimer = null;
+
+// Start the in-process scheduler (runs once immediately, then on an interval)
+const startAccountDeletionScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const run = () => {
+    processDueAccountDeletions().catch(error => {
+      console.error('Account deletion scheduler error:', error.message);
+    });
+  };
+
+  run();
+  schedulerTimer = setInterval(run, ACCOUNT_DELETION_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref(); // Never keep the process alive on its own
+};
+
+const stopAccountDeletionScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deletionDateFrom,
+  processDueAccountDeletions,
+  startAccountDeletionScheduler,
+  stopAccountDeletionScheduler,
+};
@@ -0,0 +1,152 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const PlaySession = require('../models/PlaySession');
+const Follow = require('../models/Follow');
+
+// Activity feed of the users someone follows: their plays and their reviews
+// (ratings and comments), newest first. Plays and reviews live in different
+// collections, so both are merged and paginated in a single aggregation.
+//
+// Privacy settings of the followed users apply as on their User Page: plays
+// show playtime, so they need `totalPlayTime`; ratings need `averageRating`
+// and comments need `comments`. Deactivated users and archived games are left out.
+
+const FEED_PAGE_SIZE = 20;
+
+// Ledger entries that are actual plays; admin adjustments and imports are not activity
+const FEED_PLAY_SOURCES = ['tracked', 'client'];
+
+// Followed users whose activity the follower can see, grouped by what they share
+async function feedAudience(followerId) {
+  const follows = await Follow.find({ follower: followerId }).select('following');
+  const users = await User.find({
+    _id: { $in: follows.map(follow => follow.following) },
+    deactivatedAt: null,
+  }).select('name privacy');
+
+  const sharing = (section) => users
+    .filter(user => user.privacy[section] !== false)
+    .map(user => user._id);
+
+  return {
+    users,
+    plays: sharing('totalPlayTime'),
+    ratings: sharing('averageRating'),
+    comments: sharing('comments'),
+  };
+}
+
+// One page of the feed: { items, page, pages, total }
+async function getActivityFeed(followerId, { page = 1, pageSize = FEED_PAGE_SIZE } = {}) {
+  const audience = await feedAudience(followerId);
+  const reviewers = audience.ratings.concat(audience.comments);
+  const archivedIds = await Product.distinct('_id', { archivedAt: { $ne: null } });
+
+  const [result] = await PlaySession.aggregate([
+    {
+      $match: {
+        user: { $in: audience.plays },
+        product: { $nin: archivedIds },
+        status: 'completed',
+        source: { $in: FEED_PLAY_SOURCES },
+        minutes: { $gt: 0 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        type: { $literal: 'play' },
+        user: 1,
+        product: 1,
+        at: '$endedAt',
+        minutes: 1,
+      },
+    },
+    {
+      $unionWith: {
+        coll: Product.collection.name,
+        pipeline: [
+          { $match: { archivedAt: null, 'reviews.user': { $in: reviewers } } },
+          { $unwind: '$reviews' },
+          {
+            // Same reviews as visibleReviews(): not deleted, not hidden by a moderator
+            $match: {
+              'reviews.user': { $in: reviewers },
+              'reviews.deletedAt': null,
+              'reviews.status': { $ne: 'hidden' },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              type: { $literal: 'review' },
+              user: '$reviews.user',
+              product: '$_id',
+              at: '$reviews.createdAt',
+              review: '$reviews._id',
+              rating: {
+                $cond: [{ $in: ['$reviews.user', audience.ratings] }, '$reviews.rating', null],
+              },
+              comment: {
+                $cond: [
+                  {
+                    $and: [
+                      { $in: ['$reviews.user', audience.comments] },
+                      { $gt: [{ $strLenCP: { $ifNull: ['$reviews.comment', ''] } }, 0] },
+                    ],
+                  },
+                  '$reviews.comment',
+                  null,
+                ],
+              },
+            },
+          },
+          // A review whose rating and comment are both private has nothing left to show
+          { $match: { $or: [{ rating: { $ne: null } }, { comment: { $ne: null } }] } },
+        ],
+      },
+    },
+    { $sort: { at: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: pageSize * (page - 1) }, { $limit: pageSize }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  const userNames = new Map(audience.users.map(user => [user._id.toString(), user.name]));
+  const games = await Product.find({ _id: { $in: result.items.map(item => item.product) } })
+    .select('name image');
+  const gameRefs = new Map(games.map(game => [
+    game._id.toString(),
+    { _id: game._id, name: game.name, image: game.image },
+  ]));
+
+  const items = result.items.map(item => {
+    const entry = {
+      type: item.type,
+      user: { _id: item.user, name: userNames.get(item.user.toString()) },
+      game: gameRefs.get(item.product.toString()) || { _id: item.product, name: null, image: null },
+      at: item.at,
+    };
+
+    if (item.type === 'play') {
+      entry.minutes = item.minutes;
+    } else {
+      entry.review = item.review;
+      entry.rating = item.rating;
+      entry.comment = item.comment;
+    }
+    return entry;
+  });
+
+  return { items, page, pages: Math.ceil(total / pageSize), total };
+}
+
+module.exports = {
+  FEED_PAGE_SIZE,
+  getActivityFeed,
+};
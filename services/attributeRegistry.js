@@ -0,0 +1,191 @@
+const AttributeDefinition = require('../models/AttributeDefinition');
+const Product = require('../models/Product');
+const { toCalendarDate } = require('./calendarDate');
+
+// Optional game attributes are stored as top-level product fields, but only
+// for keys defined in the AttributeDefinition registry. Values are validated
+// and normalized according to the definition's type and rules.
+
+const RESERVED_KEYS = [
+  'constructor', 'prototype', 'toString', 'valueOf', 'hasOwnProperty', 'id',
+  // Fields added to games in API responses
+  'attributes', 'playTime', 'totalReviews', 'commentsUrl',
+];
+
+// Keys that belong to the product schema itself can never be optional attributes
+const isReservedKey = (key) =>
+  RESERVED_KEYS.includes(key) || Boolean(Product.schema.path(key)) || key.startsWith('_');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a string against the definition's string rules
+const checkString = (value, rules, label) => {
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return `${label} must be at least ${rules.minLength} characters`;
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return `${label} must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+    return `${label} has an invalid format`;
+  }
+  if (rules.allowedValues && rules.allowedValues.length > 0 && !rules.allowedValues.includes(value)) {
+    return `${label} must be one of: ${rules.allowedValues.join(', ')}`;
+  }
+  return null;
+};
+
+// Per-type validation: returns { value } with the normalized value, or { error }
+const TYPE_VALIDATORS = {
+  string: (value, rules, label) => {
+    if (typeof value !== 'string') {
+      return { error: `${label} must be text` };
+    }
+    const error = checkString(value.trim(), rules, label);
+    return error ? { error } : { value: value.trim() };
+  },
+
+  number: (value, rules, label) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: `${label} must be a number` };
+    }
+    if (rules.min !== undefined && number < rules.min) {
+      return { error: `${label} must be at least ${rules.min}` };
+    }
+    if (rules.max !== undefined && number > rules.max) {
+      return { error: `${label} must be at most ${rules.max}` };
+    }
+    return { value: number };
+  },
+
+  boolean: (value, rules, label) => {
+    if (value === true || value === 'true') {
+      return { value: true };
+    }
+    if (value === false || value === 'false') {
+      return { value: false };
+    }
+    return { error: `${label} must be true or false` };
+  },
+
+  // Calendar dates, stored as YYYY-MM-DD so they sort and compare as strings
+  date: (value, rules, label) => {
+    const date = toCalendarDate(value);
+    if (!date) {
+      return { error: `${label} must be a date (YYYY-MM-DD)` };
+    }
+    return { value: date };
+  },
+
+  url: (value, rules, label) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return { error: `${label} must be a valid URL` };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: `${label} must be an http or https URL` };
+    }
+    return { value: url.toString() };
+  },
+
+  stringList: (value, rules, label) => {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { error: `${label} must be a list of text values` };
+    }
+    if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+      return { error: `${label} must have at most ${rules.maxItems} items` };
+    }
+    const items = value.map(item => item.trim());
+    for (const item of items) {
+      const error = checkString(item, rules, label);
+      if (error) {
+        return { error };
+      }
+    }
+    return { value: items };
+  },
+
+  // Named text values, e.g. PC requirements: { "OS": "Windows 10", "RAM": "8 GB" }
+  keyValue: (value, rules, label) => {
+    if (!isPlainObject(value)) {
+      return { error: `${label} must be an object of names and values` };
+    }
+    const entries = Object.entries(value);
+    if (rules.maxItems !== undefined && entries.length > rules.maxItems) {
+      return { error: `${label} must have at most ${rules.maxItems} entries` };
+    }
+    const normalized = {};
+    for (const [name, entryValue] of entries) {
+      if (!/^[^$.]+$/.test(name) || RESERVED_KEYS.includes(name) || name === '__proto__') {
+        return { error: `${label} has an invalid entry name: ${name}` };
+      }
+      if (typeof entryValue !== 'string') {
+        return { error: `${label} entry ${name} must be text` };
+      }
+      normalized[name.trim()] = entryValue.trim();
+    }
+    return { value: normalized };
+  },
+};
+
+const getDefinitions = () => AttributeDefinition.find({}).sort({ key: 1 }).lean();
+
+// Validate optional attributes from a request body against the registry
+// requireAll enforces required attributes (used on create)
+// Returns { values, errors } where values holds the normalized attribute values
+async function validateAttributes(input, { requireAll = false } = {}) {
+  const definitions = await getDefinitions();
+  const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  const values = {};
+  const errors = [];
+
+  for (const key of Object.keys(input)) {
+    const definition = definitionsByKey.get(key);
+
+    if (!definition) {
+      errors.push({ path: key, msg: `Unknown attribute: ${key}` });
+      continue;
+    }
+
+    const result = TYPE_VALIDATORS[definition.type](input[key], definition.validation || {}, definition.label);
+    if (result.error) {
+      errors.push({ path: key, msg: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  if (requireAll) {
+    definitions
+      .filter(definition => definition.required && input[definition.key] === undefined)
+      .forEach(definition => {
+        errors.push({ path: definition.key, msg: `${definition.label} is required` });
+      });
+  }
+
+  return { values, errors };
+}
+
+// Registered attributes present on a product, with their type metadata
+const describeAttributes = (product, definitions) =>
+  definitions
+    .filter(definition => product.get(definition.key) !== undefined)
+    .map(definition => ({
+      key: definition.key,
+      label: definition.label,
+      type: definition.type,
+      value: product.get(definition.key),
+    }));
+
+module.exports = {
+  TYPE_VALIDATORS,
+  isReservedKey,
+  getDefinitions,
+  validateAttributes,
+  describeAttributes,
+};
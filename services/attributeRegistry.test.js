@@ -0,0 +1,125 @@
+const { TYPE_VALIDATORS, isReservedKey } = require('./attributeRegistry');
+
+const validate = (type, value, rules = {}) => TYPE_VALIDATORS[type](value, rules, 'Field');
+
+describe('TYPE_VALIDATORS', () => {
+  describe('string', () => {
+    test('trims the value', () => {
+      expect(validate('string', '  Valve  ')).toEqual({ value: 'Valve' });
+    });
+
+    test('rejects values that are not text', () => {
+      expect(validate('string', 42)).toEqual({ error: 'Field must be text' });
+    });
+
+    test('checks length, pattern and allowed values', () => {
+      expect(validate('string', 'ab', { minLength: 3 }).error).toBe('Field must be at least 3 characters');
+      expect(validate('string', 'abcd', { maxLength: 3 }).error).toBe('Field must be at most 3 characters');
+      expect(validate('string', 'abc', { pattern: '^[0-9]+$' }).error).toBe('Field has an invalid format');
+      expect(validate('string', 'PEGI 3', { allowedValues: ['PEGI 12'] }).error).toBe('Field must be one of: PEGI 12');
+      expect(validate('string', 'PEGI 12', { allowedValues: ['PEGI 12'] })).toEqual({ value: 'PEGI 12' });
+    });
+  });
+
+  describe('number', () => {
+    test('accepts numbers and numeric strings', () => {
+      expect(validate('number', 12.5)).toEqual({ value: 12.5 });
+      expect(validate('number', '7')).toEqual({ value: 7 });
+    });
+
+    test('rejects empty strings, text and non-finite values', () => {
+      expect(validate('number', '').error).toBe('Field must be a number');
+      expect(validate('number', 'seven').error).toBe('Field must be a number');
+      expect(validate('number', Infinity).error).toBe('Field must be a number');
+    });
+
+    test('checks the range', () => {
+      expect(validate('number', 0, { min: 1 }).error).toBe('Field must be at least 1');
+      expect(validate('number', 11, { max: 10 }).error).toBe('Field must be at most 10');
+      expect(validate('number', 10, { min: 1, max: 10 })).toEqual({ value: 10 });
+    });
+  });
+
+  describe('boolean', () => {
+    test('accepts booleans and their string forms', () => {
+      expect(validate('boolean', true)).toEqual({ value: true });
+      expect(validate('boolean', 'false')).toEqual({ value: false });
+    });
+
+    test('rejects anything else', () => {
+      expect(validate('boolean', 1).error).toBe('Field must be true or false');
+      expect(validate('boolean', 'yes').error).toBe('Field must be true or false');
+    });
+  });
+
+  describe('date', () => {
+    test('stores calendar dates as YYYY-MM-DD', () => {
+      expect(validate('date', '2024-03-01')).toEqual({ value: '2024-03-01' });
+      expect(validate('date', '2024-03-01T10:00:00Z')).toEqual({ value: '2024-03-01' });
+    });
+
+    test('rejects invalid dates and non-strings', () => {
+      expect(validate('date', 'not a date').error).toBe('Field must be a date (YYYY-MM-DD)');
+      expect(validate('date', 1709251200000).error).toBe('Field must be a date (YYYY-MM-DD)');
+    });
+  });
+
+  describe('url', () => {
+    test('accepts http and https URLs', () => {
+      expect(validate('url', 'https://example.com/game')).toEqual({ value: 'https://example.com/game' });
+    });
+
+    test('rejects malformed URLs and other protocols', () => {
+      expect(validate('url', 'example').error).toBe('Field must be a valid URL');
+      expect(validate('url', 'javascript:alert(1)').error).toBe('Field must be an http or https URL');
+    });
+  });
+
+  describe('stringList', () => {
+    test('trims every item', () => {
+      expect(validate('stringList', [' PC ', 'Xbox'])).toEqual({ value: ['PC', 'Xbox'] });
+    });
+
+    test('rejects lists with non-text items and too many items', () => {
+      expect(validate('stringList', ['PC', 1]).error).toBe('Field must be a list of text values');
+      expect(validate('stringList', 'PC').error).toBe('Field must be a list of text values');
+      expect(validate('stringList', ['a', 'b'], { maxItems: 1 }).error).toBe('Field must have at most 1 items');
+    });
+
+    test('checks every item against the string rules', () => {
+      expect(validate('stringList', ['PC', 'Switch'], { allowedValues: ['PC'] }).error)
+        .toBe('Field must be one of: PC');
+    });
+  });
+
+  describe('keyValue', () => {
+    test('trims names and values', () => {
+      expect(validate('keyValue', { ' OS ': ' Windows 10 ' })).toEqual({ value: { OS: 'Windows 10' } });
+    });
+
+    test('rejects non-objects and non-text values', () => {
+      expect(validate('keyValue', ['OS']).error).toBe('Field must be an object of names and values');
+      expect(validate('keyValue', { RAM: 8 }).error).toBe('Field entry RAM must be text');
+    });
+
+    test('rejects entry names that could reach operators or prototypes', () => {
+      expect(validate('keyValue', { $where: 'x' }).error).toBe('Field has an invalid entry name: $where');
+      expect(validate('keyValue', { 'a.b': 'x' }).error).toBe('Field has an invalid entry name: a.b');
+      expect(validate('keyValue', { constructor: 'x' }).error).toBe('Field has an invalid entry name: constructor');
+    });
+
+    test('limits the number of entries', () => {
+      expect(validate('keyValue', { a: '1', b: '2' }, { maxItems: 1 }).error)
+        .toBe('Field must have at most 1 entries');
+    });
+  });
+});
+
+describe('isReservedKey', () => {
+  test('reserves product schema fields, response fields and underscored keys', () => {
+    expect(isReservedKey('name')).toBe(true);
+    expect(isReservedKey('playTime')).toBe(true);
+    expect(isReservedKey('_secret')).toBe(true);
+    expect(isReservedKey('releaseDate')).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+const AuditEvent = require('../models/AuditEvent');
+const { snapshot, diffFields } = require('./mergePatch');
+
+// Product fields left out of audit snapshots: reviews and rating aggregates
+// change through player activity rather than catalog edits, and have their own history
+const PRODUCT_UNAUDITED_FIELDS = [
+  'reviews',
+  'reviewLocks',
+  'reviewToggles',
+  'rating',
+  'numReviews',
+  'totalPlayTime',
+  'uniquePlayers',
+  'sumPlayTimeTimesRating',
+  'ratingWeightSum',
+  'weightedRatingSum',
+  // Change on every save
+  'revision',
+  'updatedAt',
+  '__v',
+];
+
+// Audit snapshot of a game, including its optional attributes
+const productSnapshot = (product) => {
+  const data = snapshot(product.toObject());
+  PRODUCT_UNAUDITED_FIELDS.forEach(field => {
+    delete data[field];
+  });
+  return data;
+};
+
+// Audit snapshot of a user: never passwords, tokens or playtime
+const userSnapshot = (user) => snapshot({
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isAdmin: user.isAdmin,
+  deactivatedAt: user.deactivatedAt,
+  deletionScheduledFor: user.deletionScheduledFor,
+});
+
+const attributeSnapshot = (attribute) => {
+  const data = snapshot(attribute.toObject());
+  delete data.updatedAt;
+  delete data.__v;
+  return data;
+};
+
+// Target of an audit event: games and users by name, attributes by key
+const auditTarget = (type, doc) => ({ type, id: doc._id, name: doc.name || doc.key });
+
+// Record an audit event for an action that has already succeeded
+// target: { type, id, name }; before/after are snapshots (null on create/delete)
+// Scheduled actions pass a null req and the user they act for as actor
+async function recordAudit(req, { action, target, before = null, after = null, details, actor = req && req.user }) {
+  try {
+    let changes;
+    if (before && after) {
+      const fields = [...new Set(Object.keys(before).concat(Object.keys(after)))];
+      changes = diffFields(before, after, fields);
+    }
+
+    await AuditEvent.create({
+      actor: actor._id,
+      actorName: actor.name,
+      actorRole: actor.role,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      targetName: target.name,
+      before,
+      after,
+      changes,
+      details,
+      request: req
+        ? {
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+          }
+        : undefined,
+    });
+  } catch (error) {
+    // The action itself went through; a failed audit write must not turn it into an error
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  productSnapshot,
+  userSnapshot,
+  attributeSnapshot,
+  auditTarget,
+  recordAudit,
+};
@@ -0,0 +1,13 @@
+// Calendar dates such as a game's releaseDate are stored as YYYY-MM-DD strings,
+// so they sort and compare as strings. Anything compared with them has to be in
+// the same form.
+
+// A date or timestamp string as a calendar date (YYYY-MM-DD, UTC), or null
+const toCalendarDate = (value) => {
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+module.exports = {
+  toCalendarDate,
+};
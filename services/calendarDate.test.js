@@ -0,0 +1,23 @@
+const { toCalendarDate } = require('./calendarDate');
+
+describe('toCalendarDate', () => {
+  test('cuts timestamps to the stored YYYY-MM-DD form', () => {
+    expect(toCalendarDate('2020-01-01')).toBe('2020-01-01');
+    expect(toCalendarDate('2020-01-01T00:00:00Z')).toBe('2020-01-01');
+    expect(toCalendarDate('2020-01-01T23:30:00-05:00')).toBe('2020-01-02');
+  });
+
+  test('a timestamp bound includes games released on that day', () => {
+    // As in GET /api/products/search?releaseDateFrom=...&releaseDateTo=...
+    const from = toCalendarDate('2020-01-01T00:00:00Z');
+    const to = toCalendarDate('2020-01-01T12:00:00Z');
+
+    expect('2020-01-01' >= from && '2020-01-01' <= to).toBe(true);
+    expect('2019-12-31' >= from).toBe(false);
+  });
+
+  test('is null for anything that is not a date', () => {
+    expect(toCalendarDate('not a date')).toBeNull();
+    expect(toCalendarDate(1577836800000)).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Optimistic concurrency for editor updates (PUT/PATCH).
+// Products and users carry a `revision` counter that only editor updates bump.
+// The ETag is "<revision>-<hash of the response body>": the hash keeps it a
+// correct validator for GET caching, while If-Match only compares the revision,
+// so plays and reviews that change the representation do not conflict with editors.
+
+const etagFor = (doc, body) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex').slice(0, 16);
+  return `"${doc.revision || 0}-${hash}"`;
+};
+
+// Set the ETag header for a response body built from the document
+const setETag = (res, doc, body) => {
+  res.set('ETag', etagFor(doc, body));
+};
+
+// False when the request has an If-Match header that does not match the document's revision
+// (no header, or "*", always matches)
+const ifMatchSatisfied = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return true;
+  }
+
+  const revisions = header.split(',').map(tag =>
+    tag.trim().replace(/^W\//, '').replace(/"/g, '').split('-')[0]
+  );
+  return revisions.includes(String(doc.revision || 0));
+};
+
+// Bump the document's revision so the next save() only succeeds if nobody
+// saved another revision since it was loaded (otherwise DocumentNotFoundError)
+const claimRevision = (doc) => {
+  const current = doc.revision || 0;
+  // Documents saved before revisions existed have no revision field yet
+  doc.$where = { revision: current === 0 ? { $in: [0, null] } : current };
+  doc.revision = current + 1;
+};
+
+const isConflictError = (error) => error.name === 'DocumentNotFoundError';
+
+// 412 response for a stale If-Match or a lost race between two saves
+const sendPreconditionFailed = (res, what) =>
+  res.status(412).json({ message: `${what} was changed by someone else. Reload it and try again.` });
+
+module.exports = {
+  setETag,
+  ifMatchSatisfied,
+  claimRevision,
+  isConflictError,
+  sendPreconditionFailed,
+};
@@ -0,0 +1,77 @@
+const { setETag, ifMatchSatisfied, claimRevision } = require('./concurrency');
+
+// Request stub with an optional If-Match header
+const requestWith = (ifMatch) => ({
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined),
+});
+
+describe('ifMatchSatisfied', () => {
+  const doc = { revision: 3 };
+
+  test('matches when there is no If-Match header or it is "*"', () => {
+    expect(ifMatchSatisfied(requestWith(undefined), doc)).toBe(true);
+    expect(ifMatchSatisfied(requestWith('*'), doc)).toBe(true);
+  });
+
+  test('compares only the revision part of the ETag', () => {
+    expect(ifMatchSatisfied(requestWith('"3-0123456789abcdef"'), doc)).toBe(true);
+    expect(ifMatchSatisfied(requestWith('"3-ffffffffffffffff"'), doc)).toBe(true);
+    expect(ifMatchSatisfied(requestWith('"2-0123456789abcdef"'), doc)).toBe(false);
+  });
+
+  test('accepts weak ETags and lists of ETags', () => {
+    expect(ifMatchSatisfied(requestWith('W/"3-abc"'), doc)).toBe(true);
+    expect(ifMatchSatisfied(requestWith('"1-abc", "3-def"'), doc)).toBe(true);
+    expect(ifMatchSatisfied(requestWith('"1-abc", "2-def"'), doc)).toBe(false);
+  });
+
+  test('treats documents without a revision as revision 0', () => {
+    expect(ifMatchSatisfied(requestWith('"0-abc"'), {})).toBe(true);
+    expect(ifMatchSatisfied(requestWith('"1-abc"'), {})).toBe(false);
+  });
+});
+
+describe('setETag', () => {
+  const response = () => {
+    const res = { headers: {} };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+    };
+    return res;
+  };
+
+  test('sets an ETag that If-Match checks accept', () => {
+    const res = response();
+    setETag(res, { revision: 5 }, { name: 'Game' });
+
+    expect(res.headers.ETag).toMatch(/^"5-[0-9a-f]{16}"$/);
+    expect(ifMatchSatisfied(requestWith(res.headers.ETag), { revision: 5 })).toBe(true);
+  });
+
+  test('changes with the body even when the revision does not', () => {
+    const first = response();
+    const second = response();
+    setETag(first, { revision: 5 }, { rating: 4 });
+    setETag(second, { revision: 5 }, { rating: 5 });
+
+    expect(first.headers.ETag).not.toBe(second.headers.ETag);
+  });
+});
+
+describe('claimRevision', () => {
+  test('bumps the revision and only lets the save match the loaded one', () => {
+    const doc = { revision: 2 };
+    claimRevision(doc);
+
+    expect(doc.revision).toBe(3);
+    expect(doc.$where).toEqual({ revision: 2 });
+  });
+
+  test('also matches documents saved before revisions existed', () => {
+    const doc = {};
+    claimRevision(doc);
+
+    expect(doc.revision).toBe(1);
+    expect(doc.$where).toEqual({ revision: { $in: [0, null] } });
+  });
+});
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const PlaySession = require('../models/PlaySession');
+const RefreshToken = require('../models/RefreshToken');
+const Follow = require('../models/Follow');
+const DeletionJob = require('../models/DeletionJob');
+const { effectiveRating, removePlayerContribution, recomputeProductRating } = require('./ratingService');
+const { removeStoredImages } = require('./imageStorage');
+
+// Deleting a user or a game cascades into reviews, playtime, the playtime
+// ledger and rating aggregates. The cascade runs in a MongoDB transaction when
+// the deployment supports it (replica set or sharded cluster), so it either
+// happens completely or not at all. A standalone server rejects transactions;
+// there the cascade runs as a DeletionJob whose idempotent steps are recorded
+// as they finish and resumed at startup if the server stopped halfway.
+//
+// Every cascade starts from a plan of what it will touch. The plan is also
+// what a dry run returns.
+
+const MAX_JOB_ATTEMPTS = 3;
+
+// Set once the server rejects a transaction, so later deletions go straight to jobs
+let transactionsUnsupported = false;
+
+const isTransactionUnsupportedError = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message || '');
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+const uniqueIds = (ids) => [...new Map(ids.map(id => [id.toString(), id])).values()];
+
+// What deleting a user touches, or null when the user does not exist
+async function planUserDeletion(userId) {
+  const user = await User.findById(userId).select('name email playTime');
+  if (!user) {
+    return null;
+  }
+
+  // Products with the user's reviews, or their votes on or reports of other reviews
+  const products = await Product.find({
+    $or: [
+      { 'reviews.user': user._id },
+      { 'reviews.votes.user': user._id },
+      { 'reviews.reports.user': user._id },
+    ],
+  }).select('reviews.user reviews.votes.user reviews.reports.user');
+
+  let reviews = 0;
+  let reviewVotes = 0;
+  let reviewReports = 0;
+  products.forEach(product => {
+    product.reviews.forEach(review => {
+      if (sameId(review.user, user._id)) {
+        reviews += 1;
+      }
+      reviewVotes += review.votes.filter(vote => sameId(vote.user, user._id)).length;
+      reviewReports += review.reports.filter(report => sameId(report.user, user._id)).length;
+    });
+  });
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    reviews,
+    reviewVotes,
+    reviewReports,
+    reviewedProducts: products.map(product => product._id),
+    playedProducts: user.playTime.map(pt => pt.product),
+    totalPlayTime: user.playTime.reduce((sum, pt) => sum + pt.time, 0),
+    playSessions: await PlaySession.countDocuments({ user: user._id }),
+    refreshTokens: await RefreshToken.countDocuments({ user: user._id }),
+    follows: await Follow.countDocuments({ $or: [{ follower: user._id }, { following: user._id }] }),
+  };
+}
+
+// What deleting a game touches, or null when the game does not exist
+async function planProductDeletion(productId) {
+  const product = await Product.findById(productId).select('name image thumbnail reviews._id');
+  if (!product) {
+    return null;
+  }
+
+  return {
+    product: { _id: product._id, name: product.name },
+    players: await User.countDocuments({ 'playTime.product': product._id }),
+    reviews: product.reviews.length,
+    playSessions: await PlaySession.countDocuments({ product: product._id }),
+    images: [product.image, product.thumbnail].filter(Boolean),
+  };
+}
+
+// Cascade steps, in order. Each step returns the counts it reports.
+// afterCommit steps touch files, so they run once the transaction has committed.
+// Steps with a mode only run in a transaction or only as a job; job steps must
+// be safe to run again, since an interrupted job repeats its current step.
+const STEPS = {
+  user: [
+    {
+      // Take the user's share off each rating with atomic increments, read
+      // before their playtime and reviews go. Increments are not safe to repeat,
+      // so jobs rebuild the ratings at the end instead (see 'ratings').
+      name: 'ratingShares',
+      mode: 'transaction',
+      run: async (plan, session) => {
+        const user = await User.findById(plan.user._id).select('playTime').session(session);
+        let ratingsUpdated = 0;
+
+        for (const playTime of (user ? user.playTime : []).filter(pt => pt.time > 0)) {
+          const product = await Product.findById(playTime.product)
+            .select({ reviews: { $elemMatch: { user: plan.user._id } } })
+            .session(session);
+          if (!product) {
+            continue;
+          }
+
+          await removePlayerContribution(product._id, playTime.time, effectiveRating(product.reviews[0]), { session });
+          ratingsUpdated += 1;
+        }
+
+        return { ratingsUpdated };
+      },
+    },
+    {
+      name: 'reviews',
+      run: async (plan, session) => {
+        const userId = plan.user._id;
+        let reviewsRemoved = 0;
+        let votesRemoved = 0;
+        let reportsRemoved = 0;
+
+        for (const productId of plan.reviewedProducts) {
+          const product = await Product.findById(productId).session(session || null);
+          if (!product) {
+            continue;
+          }
+
+          const reviewCount = product.reviews.length;
+          product.reviews = product.reviews.filter(review => !sameId(review.user, userId));
+          reviewsRemoved += reviewCount - product.reviews.length;
+
+          // Drop the user's helpfulness votes and recount the totals
+          product.reviews.forEach(review => {
+            const votes = review.votes.filter(vote => !sameId(vote.user, userId));
+            if (votes.length !== review.votes.length) {
+              votesRemoved += review.votes.length - votes.length;
+              review.votes = votes;
+              review.helpfulVotes = votes.filter(vote => vote.helpful).length;
+              review.unhelpfulVotes = votes.length - review.helpfulVotes;
+            }
+
+            // Drop the user's reports; the open ones are the last openReports entries
+            const firstOpen = review.reports.length - review.openReports;
+            const removedOpen = review.reports
+              .filter((report, index) => index >= firstOpen && sameId(report.user, userId)).length;
+            const reports = review.reports.filter(report => !sameId(report.user, userId));
+            if (reports.length !== review.reports.length) {
+              reportsRemoved += review.reports.length - reports.length;
+              review.reports = reports;
+              review.openReports -= removedOpen;
+            }
+          });
+
+          product.numReviews = product.visibleReviews().length;
+          await product.save();
+        }
+
+        return { reviewsRemoved, votesRemoved, reportsRemoved };
+      },
+    },
+    {
+      name: 'playSessions',
+      run: async (plan, session) => {
+        const { deletedCount } = await PlaySession.deleteMany({ user: plan.user._id }, { session });
+        return { playSessionsRemoved: deletedCount };
+      },
+    },
+    {
+      name: 'refreshTokens',
+      run: async (plan, session) => {
+        const { deletedCount } = await RefreshToken.deleteMany({ user: plan.user._id }, { session });
+        return { refreshTokensRemoved: deletedCount };
+      },
+    },
+    {
+      // Both the users they follow and their followers
+      name: 'follows',
+      run: async (plan, session) => {
+        const { deletedCount } = await Follow.deleteMany(
+          { $or: [{ follower: plan.user._id }, { following: plan.user._id }] },
+          { session }
+        );
+        return { followsRemoved: deletedCount };
+      },
+    },
+    {
+      name: 'user',
+      run: async (plan, session) => {
+        const { deletedCount } = await User.deleteOne({ _id: plan.user._id }, { session });
+        return { userRemoved: deletedCount === 1 };
+      },
+    },
+    {
+      // Runs after the user is gone, so their playtime and ratings no longer count
+      name: 'ratings',
+      mode: 'job',
+      run: async (plan, session) => {
+        const productIds = uniqueIds(plan.reviewedProducts.concat(plan.playedProducts));
+        let ratingsRecomputed = 0;
+        for (const productId of productIds) {
+          if (await recomputeProductRating(productId, { session })) {
+            ratingsRecomputed += 1;
+          }
+        }
+        return { ratingsRecomputed };
+      },
+    },
+  ],
+  product: [
+    {
+      name: 'playTime',
+      run: async (plan, session) => {
+        const productId = plan.product._id;
+        const { modifiedCount } = await User.updateMany(
+          { 'playTime.product': productId },
+          { $pull: { playTime: { product: productId } } },
+          { session }
+        );
+        return { usersUpdated: modifiedCount };
+      },
+    },
+    {
+      name: 'playSessions',
+      run: async (plan, session) => {
+        const { deletedCount } = await PlaySession.deleteMany({ product: plan.product._id }, { session });
+        return { playSessionsRemoved: deletedCount };
+      },
+    },
+    {
+      name: 'product',
+      run: async (plan, session) => {
+        const { deletedCount } = await Product.deleteOne({ _id: plan.product._id }, { session });
+        return { productRemoved: deletedCount === 1, reviewsRemoved: deletedCount === 1 ? plan.reviews : 0 };
+      },
+    },
+    {
+      name: 'images',
+      afterCommit: true,
+      run: async (plan) => {
+        await removeStoredImages(...plan.images);
+        return { imagesRemoved: plan.images.length };
+      },
+    },
+  ],
+};
+
+// Run every step in one transaction, then the afterCommit steps
+async function runInTransaction(steps, plan) {
+  const session = await mongoose.startSession();
+  let affected;
+
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction retries on transient errors, so start counting afresh
+      affected = {};
+      for (const step of steps.filter(step => !step.afterCommit && step.mode !== 'job')) {
+        Object.assign(affected, await step.run(plan, session));
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const step of steps.filter(step => step.afterCommit)) {
+    Object.assign(affected, await step.run(plan));
+  }
+  return affected;
+}
+
+// Run a job's unfinished steps, recording each one as it completes
+async function runJob(job) {
+  job.status = 'running';
+  job.attempts += 1;
+  await job.save();
+
+  try {
+    for (const step of STEPS[job.kind].filter(step => step.mode !== 'transaction')) {
+      if (job.completedSteps.includes(step.name)) {
+        continue;
+      }
+      const counts = await step.run(job.plan);
+      job.affected = { ...job.affected, ...counts };
+      job.completedSteps.push(step.name);
+      await job.save();
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+    return job;
+  } catch (error) {
+    job.status = 'failed';
+    job.lastError = error.message;
+    await job.save();
+    throw error;
+  }
+}
+
+// Returns { mode: 'transaction' | 'job', affected, jobId }
+async function runCascade(kind, target, plan, requestedBy) {
+  if (!transactionsUnsupported) {
+    try {
+      return { mode: 'transaction', affected: await runInTransaction(STEPS[kind], plan) };
+    } catch (error) {
+      if (!isTransactionUnsupportedError(error)) {
+        throw error;
+      }
+      // Nothing was committed, so the job below starts from scratch
+      transactionsUnsupported = true;
+      console.warn('MongoDB transactions are unavailable; deletions will run as resumable jobs');
+    }
+  }
+
+  const job = await DeletionJob.create({ kind, target, plan, requestedBy });
+  await runJob(job);
+  return { mode: 'job', jobId: job._id, affected: job.affected };
+}
+
+// Delete a user with their reviews, votes, playtime ledger, refresh tokens and follows
+// Returns null when the user does not exist
+async function deleteUserCascade(userId, { requestedBy } = {}) {
+  const plan = await planUserDeletion(userId);
+  if (!plan) {
+    return null;
+  }
+  return runCascade('user', plan.user._id, plan, requestedBy);
+}
+
+// Delete a game with its players' playtime, its ledger entries and its images
+// Returns null when the game does not exist
+async function deleteProductCascade(productId, { requestedBy } = {}) {
+  const plan = await planProductDeletion(productId);
+  if (!plan) {
+    return null;
+  }
+  return runCascade('product', plan.product._id, plan, requestedBy);
+}
+
+// Finish jobs interrupted by a crash or an error (called at startup)
+async function resumeDeletionJobs() {
+  const jobs = await DeletionJob.find({
+    status: { $in: ['running', 'failed'] },
+    attempts: { $lt: MAX_JOB_ATTEMPTS },
+  });
+
+  for (const job of jobs) {
+    try {
+      await runJob(job);
+      console.log(`Deletion job ${job._id} (${job.kind} ${job.target}) completed`);
+    } catch (error) {
+      console.error(`Deletion job ${job._id} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  planUserDeletion,
+  planProductDeletion,
+  deleteUserCascade,
+  deleteProductCascade,
+  resumeDeletionJobs,
+};
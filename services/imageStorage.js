@@ -0,0 +1,140 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Product images are stored through a storage backend and only their URLs are
+// saved on the product. Backends implement:
+//   save(key, buffer, contentType) -> public URL
+//   remove(key)
+//   keyFromUrl(url) -> key, or null when the URL is not managed by the backend
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const UPLOAD_URL_PREFIX = '/uploads/';
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 240;
+
+// Local disk backend, served by express.static in server.js
+const createLocalStorage = () => ({
+  async save(key, buffer) {
+    const filePath = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${UPLOAD_URL_PREFIX}${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+  },
+
+  keyFromUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(UPLOAD_URL_PREFIX)) {
+      return null;
+    }
+    const key = url.slice(UPLOAD_URL_PREFIX.length);
+    // Never resolve outside the upload directory
+    return path.resolve(UPLOAD_DIR, key).startsWith(UPLOAD_DIR + path.sep) ? key : null;
+  },
+});
+
+const STORAGE_BACKENDS = {
+  local: createLocalStorage,
+};
+
+const createStorage = (name = process.env.IMAGE_STORAGE || 'local') => {
+  const factory = STORAGE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown image storage backend: ${name}`);
+  }
+  return factory();
+};
+
+const storage = createStorage();
+
+// Identify PNG and JPEG files by their magic bytes rather than a declared type
+const IMAGE_SIGNATURES = [
+  { type: 'png', contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+];
+
+const detectImageType = (buffer) =>
+  IMAGE_SIGNATURES.find(signature =>
+    buffer.length >= signature.bytes.length &&
+    signature.bytes.every((byte, index) => buffer[index] === byte)
+  ) || null;
+
+const imageError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Decode a data:image/...;base64 string into a buffer, or null if it is not one
+const decodeDataUrl = (value) => {
+  const match = /^data:image\/[a-z+]+;base64,(.*)$/s.exec(value || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+};
+
+// Image URLs a product may point at: http(s) URLs or files under the upload path
+const isImageUrl = (value) => {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  if (value.startsWith(UPLOAD_URL_PREFIX)) {
+    return !value.split('/').includes('..');
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate an image, generate its thumbnail and store both
+// Returns { image, thumbnail } URLs
+async function storeProductImage(buffer) {
+  const imageType = detectImageType(buffer);
+  if (!imageType) {
+    throw imageError('Image must be PNG or JPG/JPEG format');
+  }
+
+  let thumbnailBuffer;
+  try {
+    thumbnailBuffer = await sharp(buffer)
+      .rotate() // Respect EXIF orientation
+      .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT, fit: 'inside', withoutEnlargement: true })
+      .toFormat(imageType.type)
+      .toBuffer();
+  } catch (error) {
+    throw imageError('Image could not be processed');
+  }
+
+  const name = crypto.randomBytes(16).toString('hex');
+  const extension = imageType.type === 'png' ? 'png' : 'jpg';
+
+  const image = await storage.save(`products/${name}.${extension}`, buffer, imageType.contentType);
+  const thumbnail = await storage.save(`products/${name}-thumb.${extension}`, thumbnailBuffer, imageType.contentType);
+
+  return { image, thumbnail };
+}
+
+// Remove stored images by URL, ignoring URLs the backend does not manage
+async function removeStoredImages(...urls) {
+  for (const url of urls) {
+    const key = storage.keyFromUrl(url);
+    if (key) {
+      await storage.remove(key);
+    }
+  }
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  STORAGE_BACKENDS,
+  createStorage,
+  detectImageType,
+  decodeDataUrl,
+  isImageUrl,
+  storeProductImage,
+  removeStoredImages,
+};
@@ -0,0 +1,39 @@
+const { isImageUrl, decodeDataUrl, detectImageType } = require('./imageStorage');
+
+describe('isImageUrl', () => {
+  test('accepts http(s) URLs and uploaded image paths', () => {
+    expect(isImageUrl('https://example.com/cover.png')).toBe(true);
+    expect(isImageUrl('http://example.com/cover.jpg')).toBe(true);
+    expect(isImageUrl('/uploads/products/4f1c.png')).toBe(true);
+  });
+
+  test('rejects other protocols, relative paths and text', () => {
+    expect(isImageUrl('javascript:alert(1)')).toBe(false);
+    expect(isImageUrl('ftp://example.com/cover.png')).toBe(false);
+    expect(isImageUrl('images/cover.png')).toBe(false);
+    expect(isImageUrl('/etc/passwd')).toBe(false);
+    expect(isImageUrl('a nice cover')).toBe(false);
+    expect(isImageUrl(42)).toBe(false);
+  });
+
+  test('rejects upload paths that leave the upload directory', () => {
+    expect(isImageUrl('/uploads/../server.js')).toBe(false);
+  });
+});
+
+describe('decodeDataUrl', () => {
+  test('decodes base64 image data URLs only', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    expect(decodeDataUrl(`data:image/png;base64,${png.toString('base64')}`)).toEqual(png);
+    expect(decodeDataUrl('https://example.com/cover.png')).toBeNull();
+  });
+});
+
+describe('detectImageType', () => {
+  test('identifies PNG and JPEG by their magic bytes', () => {
+    expect(detectImageType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])).type).toBe('png');
+    expect(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])).type).toBe('jpeg');
+    expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+  });
+});
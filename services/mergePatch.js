@@ -0,0 +1,41 @@
+// JSON Merge Patch (RFC 7396) helpers for the PATCH endpoints
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a merge patch to a value: null removes a member, objects merge
+// recursively, anything else (including arrays) replaces the value
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+// Plain JSON copy of a document value, with null for missing values
+const snapshot = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Changes between two snapshots of the given fields: { field: { from, to } }
+const diffFields = (before, after, fields) =>
+  fields.reduce((changes, field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+    return changes;
+  }, {});
+
+module.exports = {
+  isPlainObject,
+  applyMergePatch,
+  snapshot,
+  diffFields,
+};
@@ -0,0 +1,54 @@
+const { applyMergePatch, snapshot, diffFields } = require('./mergePatch');
+
+describe('applyMergePatch', () => {
+  // Examples from RFC 7396, Appendix A
+  test.each([
+    [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+    [{ a: 'b' }, { a: null }, {}],
+    [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+    [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+    [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+    [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+    [['a', 'b'], ['c', 'd'], ['c', 'd']],
+    [{ a: 'b' }, ['c'], ['c']],
+    [{ a: 'foo' }, null, null],
+    [{ a: 'foo' }, 'bar', 'bar'],
+    [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+    [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+    [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+  ])('patching %j with %j gives %j', (target, patch, expected) => {
+    expect(applyMergePatch(target, patch)).toEqual(expected);
+  });
+
+  test('does not modify the target', () => {
+    const target = { a: { b: 'c' } };
+    applyMergePatch(target, { a: { b: 'd' } });
+
+    expect(target).toEqual({ a: { b: 'c' } });
+  });
+});
+
+describe('snapshot', () => {
+  test('makes a plain JSON copy', () => {
+    const date = new Date('2024-01-01T00:00:00.000Z');
+
+    expect(snapshot({ at: date, list: [1] })).toEqual({ at: '2024-01-01T00:00:00.000Z', list: [1] });
+  });
+
+  test('turns missing values into null', () => {
+    expect(snapshot(undefined)).toBeNull();
+  });
+});
+
+describe('diffFields', () => {
+  test('lists only the fields that changed', () => {
+    const before = { name: 'Old', tags: ['a'], brand: 'Studio' };
+    const after = { name: 'New', tags: ['a'], brand: 'Studio' };
+
+    expect(diffFields(before, after, ['name', 'tags', 'brand'])).toEqual({
+      name: { from: 'Old', to: 'New' },
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+
+// Weighted rating:
+//   rating = Σ(weight(userPlayTime) * userRating) / Σ(weight(userPlayTime) of every player)
+//
+// weight() is the product's weighting strategy; the original formula is the
+// linear strategy where weight(playTime) = playTime.
+//
+// Products keep the sums as running aggregates so a play or a review only
+// touches the product document:
+//   totalPlayTime / uniquePlayers            minutes played and number of players
+//   sumPlayTimeTimesRating                   raw (linear) rating numerator
+//   ratingWeightSum / weightedRatingSum      the same sums under the product's strategy
+// recomputeProductRating rebuilds them from users and reviews to detect drift.
+
+const DEFAULT_WEIGHT_CAP_MINUTES = Number(process.env.RATING_WEIGHT_CAP_MINUTES) || 600;
+
+// Whether ratings on reviews hidden by a moderator still count (off by default)
+const HIDDEN_REVIEWS_AFFECT_RATING = process.env.HIDDEN_REVIEWS_AFFECT_RATING === 'true';
+
+// The rating a review contributes, or undefined when it does not count
+const effectiveRating = (review) => {
+  if (!review || review.deletedAt || (review.status === 'hidden' && !HIDDEN_REVIEWS_AFFECT_RATING)) {
+    return undefined;
+  }
+  return review.rating;
+};
+
+// How much a player's playtime counts towards the rating
+const WEIGHTING_STRATEGIES = {
+  // Every minute counts equally
+  linear: (playTime) => playTime,
+  // Long playtimes still count more, but with diminishing returns
+  log: (playTime) => Math.log1p(playTime),
+  // Minutes beyond the cap do not add any more weight
+  capped: (playTime, product) => Math.min(playTime, product.ratingWeightCap || DEFAULT_WEIGHT_CAP_MINUTES),
+};
+
+// Weight function for a product, falling back to linear for unknown strategies
+const getWeightFunction = (product) => {
+  const strategy = WEIGHTING_STRATEGIES[product.ratingWeighting] || WEIGHTING_STRATEGIES.linear;
+  return (playTime) => (playTime > 0 ? strategy(playTime, product) : 0);
+};
+
+// Aggregates contributed by a single player
+const playerAggregates = (weight, { playTime = 0, rating } = {}) => {
+  const rated = playTime > 0 && rating > 0;
+  return {
+    totalPlayTime: playTime,
+    uniquePlayers: playTime > 0 ? 1 : 0,
+    sumPlayTimeTimesRating: rated ? playTime * rating : 0,
+    ratingWeightSum: weight(playTime),
+    weightedRatingSum: rated ? weight(playTime) * rating : 0,
+  };
+};
+
+// The formula itself: aggregates and rating for a set of players
+// players: [{ playTime, rating }], product supplies the weighting strategy
+const calculateWeightedRating = (players, product) => {
+  const weight = getWeightFunction(product);
+  const totals = {
+    totalPlayTime: 0,
+    uniquePlayers: 0,
+    sumPlayTimeTimesRating: 0,
+    ratingWeightSum: 0,
+    weightedRatingSum: 0,
+  };
+
+  players.forEach(player => {
+    const aggregates = playerAggregates(weight, player);
+    Object.keys(totals).forEach(key => {
+      totals[key] += aggregates[key];
+    });
+  });
+
+  return {
+    ...totals,
+    rating: totals.ratingWeightSum > 0 ? totals.weightedRatingSum / totals.ratingWeightSum : 0,
+  };
+};
+
+// Atomically shift a product's aggregates and derive the rating from the new values.
+// Uses a pipeline update (the $inc equivalent) so the rating is computed from the
+// incremented totals in the same write.
+async function incrementRatingAggregates(productId, delta, { session } = {}) {
+  const fields = Object.keys(delta).filter(key => delta[key]);
+  if (fields.length === 0) {
+    return;
+  }
+
+  const increments = {};
+  fields.forEach(key => {
+    increments[key] = { $add: [{ $ifNull: [`$${key}`, 0] }, delta[key]] };
+  });
+
+  // Ratings of archived games stay frozen; restoring a game recomputes them
+  await Product.updateOne({ _id: productId, archivedAt: null }, [
+    { $set: increments },
+    {
+      $set: {
+        rating: {
+          $cond: [
+            { $gt: ['$ratingWeightSum', 0] },
+            { $divide: ['$weightedRatingSum', '$ratingWeightSum'] },
+            0,
+          ],
+        },
+      },
+    },
+  ], { session });
+}
+
+// A player's state on a product went from `before` to `after` ({ playTime, rating })
+async function applyPlayerChange(productId, before, after, product, { session } = {}) {
+  const strategyProduct = product ||
+    await Product.findById(productId).select('ratingWeighting ratingWeightCap').session(session || null);
+  if (!strategyProduct) {
+    return;
+  }
+
+  const weight = getWeightFunction(strategyProduct);
+  const previous = playerAggregates(weight, before);
+  const current = playerAggregates(weight, after);
+
+  const delta = {};
+  Object.keys(current).forEach(key => {
+    delta[key] = current[key] - previous[key];
+  });
+
+  await incrementRatingAggregates(productId, delta, { session });
+}
+
+// A user's playtime on a product changed by playTimeDelta minutes
+async function applyPlayTimeChange(productId, userId, playTimeDelta, previousPlayTime = 0) {
+  // Load the strategy and only this user's review
+  const product = await Product.findById(productId).select({
+    ratingWeighting: 1,
+    ratingWeightCap: 1,
+    reviews: { $elemMatch: { user: userId } },
+  });
+  if (!product) {
+    return;
+  }
+
+  const rating = effectiveRating(product.reviews[0]);
+
+  await applyPlayerChange(
+    productId,
+    { playTime: previousPlayTime, rating },
+    { playTime: previousPlayTime + playTimeDelta, rating },
+    product
+  );
+}
+
+// A user with the given playtime changed (or removed, when newRating is undefined) their rating
+async function applyRatingChange(productId, playTime, previousRating, newRating) {
+  await applyPlayerChange(
+    productId,
+    { playTime, rating: previousRating },
+    { playTime, rating: newRating }
+  );
+}
+
+// A player is gone entirely: drop both their playtime and their rating
+// Pass a session to apply it inside a transaction
+async function removePlayerContribution(productId, playTime, rating, { session } = {}) {
+  await applyPlayerChange(productId, { playTime, rating }, { playTime: 0 }, null, { session });
+}
+
+// Every player of a product with their rating (if they reviewed it)
+async function getPlayers(product, session) {
+  const usersWhoPlayed = await User.find({ 'playTime.product': product._id })
+    .select('name playTime privacy deactivatedAt')
+    .session(session || null);
+
+  const reviewsByUser = {};
+  product.reviews.forEach(review => {
+    reviewsByUser[review.user.toString()] = review;
+  });
+
+  return usersWhoPlayed.map(user => {
+    const gamePlayData = user.playTime.find(pt => pt.product.toString() === product._id.toString());
+    const review = reviewsByUser[user._id.toString()];
+    return {
+      user: user._id,
+      name: user.name,
+      playTime: gamePlayData ? gamePlayData.time : 0,
+      rating: effectiveRating(review),
+      // Whether the player can be named with their playtime and rating
+      listed: !user.deactivatedAt && user.privacy.averageRating !== false && user.privacy.totalPlayTime !== false,
+    };
+  });
+}
+
+// Rebuild a product's aggregates from every player and review
+// Returns the stored and recomputed values so callers can report drift
+// Pass a session to recompute inside a transaction
+async function recomputeProductRating(productId, { session } = {}) {
+  const product = await Product.findById(productId).session(session || null);
+
+  if (!product) {
+    return null;
+  }
+
+  const players = await getPlayers(product, session);
+  const recomputed = calculateWeightedRating(players, product);
+
+  const stored = {};
+  const drift = {};
+  Object.keys(recomputed).forEach(key => {
+    stored[key] = product[key] || 0;
+    drift[key] = recomputed[key] - stored[key];
+  });
+
+  await Product.updateOne({ _id: product._id }, { $set: recomputed }, { session });
+
+  return {
+    ratingWeighting: product.ratingWeighting,
+    stored,
+    recomputed,
+    drift,
+  };
+}
+
+// How each reviewer's rating feeds into the product rating
+async function getRatingBreakdown(productId) {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    return null;
+  }
+
+  const players = await getPlayers(product);
+  const weight = getWeightFunction(product);
+  const { ratingWeightSum, rating } = calculateWeightedRating(players, product);
+
+  const entries = players
+    .filter(player => player.rating > 0)
+    .map(player => {
+      const playerWeight = weight(player.playTime);
+      return {
+        listed: player.listed,
+        user: player.user,
+        name: player.name,
+        playTime: player.playTime,
+        rating: player.rating,
+        weight: playerWeight,
+        share: ratingWeightSum > 0 ? playerWeight / ratingWeightSum : 0, // Fraction of the total weight
+        contribution: ratingWeightSum > 0 ? (playerWeight * player.rating) / ratingWeightSum : 0, // Stars added to the rating
+      };
+    });
+
+  const reviewers = entries
+    .filter(entry => entry.listed)
+    .map(({ listed, ...entry }) => entry)
+    .sort((a, b) => b.contribution - a.contribution);
+
+  // Deactivated reviewers and those who hide their rating or playtime are only counted in total
+  const unlisted = entries.filter(entry => !entry.listed);
+
+  return {
+    productId: product._id,
+    ratingWeighting: product.ratingWeighting,
+    rating,
+    storedRating: product.rating,
+    players: players.length,
+    ratingWeightSum,
+    // Players who never rated still add weight to the denominator
+    unratedWeight: players
+      .filter(player => !(player.rating > 0))
+      .reduce((sum, player) => sum + weight(player.playTime), 0),
+    reviewers,
+    hiddenReviewers: {
+      count: unlisted.length,
+      share: unlisted.reduce((sum, entry) => sum + entry.share, 0),
+      contribution: unlisted.reduce((sum, entry) => sum + entry.contribution, 0),
+    },
+  };
+}
+
+module.exports = {
+  WEIGHTING_STRATEGIES,
+  HIDDEN_REVIEWS_AFFECT_RATING,
+  effectiveRating,
+  calculateWeightedRating,
+  incrementRatingAggregates,
+  applyPlayTimeChange,
+  applyRatingChange,
+  removePlayerContribution,
+  recomputeProductRating,
+  getRatingBreakdown,
+};
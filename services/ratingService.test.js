@@ -0,0 +1,103 @@
+const {
+  WEIGHTING_STRATEGIES,
+  effectiveRating,
+  calculateWeightedRating,
+} = require('./ratingService');
+
+describe('calculateWeightedRating', () => {
+  const linear = { ratingWeighting: 'linear' };
+
+  test('weights each rating by the player\'s playtime', () => {
+    const result = calculateWeightedRating(
+      [{ playTime: 100, rating: 5 }, { playTime: 300, rating: 1 }],
+      linear
+    );
+
+    expect(result.rating).toBeCloseTo((100 * 5 + 300 * 1) / 400);
+    expect(result.totalPlayTime).toBe(400);
+    expect(result.uniquePlayers).toBe(2);
+    expect(result.sumPlayTimeTimesRating).toBe(800);
+    expect(result.ratingWeightSum).toBe(400);
+    expect(result.weightedRatingSum).toBe(800);
+  });
+
+  test('players who did not rate still add weight to the denominator', () => {
+    const result = calculateWeightedRating(
+      [{ playTime: 100, rating: 4 }, { playTime: 100 }],
+      linear
+    );
+
+    expect(result.rating).toBe(2);
+    expect(result.uniquePlayers).toBe(2);
+  });
+
+  test('ratings without playtime do not count', () => {
+    const result = calculateWeightedRating(
+      [{ playTime: 0, rating: 5 }, { playTime: 60, rating: 3 }],
+      linear
+    );
+
+    expect(result.rating).toBe(3);
+    expect(result.uniquePlayers).toBe(1);
+  });
+
+  test('is 0 when nobody has played', () => {
+    expect(calculateWeightedRating([], linear).rating).toBe(0);
+    expect(calculateWeightedRating([{ playTime: 0, rating: 5 }], linear).rating).toBe(0);
+  });
+
+  test('falls back to linear weighting for an unknown strategy', () => {
+    const players = [{ playTime: 10, rating: 5 }, { playTime: 30, rating: 1 }];
+
+    expect(calculateWeightedRating(players, { ratingWeighting: 'unknown' }))
+      .toEqual(calculateWeightedRating(players, linear));
+  });
+
+  test('log weighting gives long playtimes diminishing returns', () => {
+    const players = [{ playTime: 10, rating: 5 }, { playTime: 1000, rating: 1 }];
+    const result = calculateWeightedRating(players, { ratingWeighting: 'log' });
+    const expected = (Math.log1p(10) * 5 + Math.log1p(1000) * 1) / (Math.log1p(10) + Math.log1p(1000));
+
+    expect(result.rating).toBeCloseTo(expected);
+    expect(result.rating).toBeGreaterThan(calculateWeightedRating(players, linear).rating);
+    // The raw linear numerator is kept regardless of the strategy
+    expect(result.sumPlayTimeTimesRating).toBe(10 * 5 + 1000 * 1);
+  });
+
+  test('capped weighting stops adding weight past the product\'s cap', () => {
+    const product = { ratingWeighting: 'capped', ratingWeightCap: 100 };
+    const result = calculateWeightedRating(
+      [{ playTime: 50, rating: 5 }, { playTime: 1000, rating: 1 }],
+      product
+    );
+
+    expect(result.ratingWeightSum).toBe(150);
+    expect(result.rating).toBeCloseTo((50 * 5 + 100 * 1) / 150);
+  });
+});
+
+describe('WEIGHTING_STRATEGIES', () => {
+  test('linear weight is the playtime', () => {
+    expect(WEIGHTING_STRATEGIES.linear(120)).toBe(120);
+  });
+
+  test('log weight is log(1 + playtime)', () => {
+    expect(WEIGHTING_STRATEGIES.log(0)).toBe(0);
+    expect(WEIGHTING_STRATEGIES.log(99)).toBeCloseTo(Math.log(100));
+  });
+
+  test('capped weight uses the product cap, or the default of 600 minutes', () => {
+    expect(WEIGHTING_STRATEGIES.capped(500, { ratingWeightCap: 200 })).toBe(200);
+    expect(WEIGHTING_STRATEGIES.capped(150, { ratingWeightCap: 200 })).toBe(150);
+    expect(WEIGHTING_STRATEGIES.capped(1000, {})).toBe(600);
+  });
+});
+
+describe('effectiveRating', () => {
+  test('counts visible reviews only', () => {
+    expect(effectiveRating({ rating: 4, status: 'visible' })).toBe(4);
+    expect(effectiveRating({ rating: 4, status: 'hidden' })).toBeUndefined();
+    expect(effectiveRating({ rating: 4, deletedAt: new Date() })).toBeUndefined();
+    expect(effectiveRating(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+const Product = require('../models/Product');
+
+// Scheduled review locks: a lock disables rating and/or commenting between
+// startsAt and endsAt. The scheduler applies due locks by flipping the
+// product's disableRating/disableCommenting flags, so the rest of the code only
+// ever looks at those flags. It runs in-process on an interval and once at
+// startup, which also catches up on anything that came due while the server
+// was down.
+
+const REVIEW_SCHEDULER_INTERVAL_SECONDS = Number(process.env.REVIEW_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+const LOCK_FIELDS = {
+  rating: 'disableRating',
+  commenting: 'disableCommenting',
+};
+
+// Locks in force at a given time for 'rating' or 'commenting'
+const activeLocksFor = (product, field, now = new Date()) =>
+  product.reviewLocks.filter(lock =>
+    lock[field] &&
+    ['pending', 'active'].includes(lock.status) &&
+    lock.startsAt <= now &&
+    (!lock.endsAt || lock.endsAt > now)
+  );
+
+// Reason and re-open time to show for a disabled field, or null when no lock explains it
+const describeLock = (product, field, now = new Date()) => {
+  const locks = activeLocksFor(product, field, now);
+  if (locks.length === 0) {
+    return null;
+  }
+
+  // The field re-opens when the last lock ends; never if any lock is open-ended
+  const reopensAt = locks.some(lock => !lock.endsAt)
+    ? null
+    : new Date(Math.max(...locks.map(lock => lock.endsAt.getTime())));
+  const latest = locks.reduce((a, b) => (b.startsAt > a.startsAt ? b : a));
+
+  return { reason: latest.reason, reopensAt };
+};
+
+// Bring a product's lock statuses and flags up to date (does not save)
+// Returns true when anything changed
+const syncReviewLocks = (product, now = new Date()) => {
+  const ended = [];
+  let changed = false;
+
+  product.reviewLocks.forEach(lock => {
+    if (lock.status === 'pending' && lock.startsAt <= now) {
+      lock.status = 'active';
+      lock.applied = [];
+      Object.keys(LOCK_FIELDS).forEach(field => {
+        if (lock[field] && !product[LOCK_FIELDS[field]]) {
+          product[LOCK_FIELDS[field]] = true;
+          lock.applied.push(field);
+        }
+      });
+      changed = true;
+    }
+    if (lock.status === 'active' && lock.endsAt && lock.endsAt <= now) {
+      lock.status = 'completed';
+      ended.push(lock);
+      changed = true;
+    }
+  });
+
+  // Re-open a field once no other lock holds it
+  ended.forEach(lock => releaseLock(product, lock));
+
+  return changed;
+};
+
+// A lock stopped applying: re-enable the fields it disabled itself. A field
+// another active lock still covers is handed over to that lock instead, and
+// fields disabled by hand before the lock started stay disabled.
+const releaseLock = (product, lock) => {
+  const owned = lock.applied || Object.keys(LOCK_FIELDS).filter(field => lock[field]);
+
+  owned.forEach(field => {
+    const heir = product.reviewLocks.find(other =>
+      other !== lock && other[field] && other.status === 'active'
+    );
+    if (!heir) {
+      product[LOCK_FIELDS[field]] = false;
+    } else if (heir.applied && !heir.applied.includes(field)) {
+      heir.applied.push(field);
+    }
+  });
+};
+
+// An admin enabled or disabled fields by hand: active locks give up those
+// fields, so ending a lock does not undo the admin's choice
+async function detachLockFields(productIds, fields) {
+  if (fields.length === 0) {
+    return;
+  }
+
+  await Product.updateMany(
+    { _id: { $in: productIds }, 'reviewLocks.status': 'active' },
+    { $pull: { 'reviewLocks.$[lock].applied': { $in: fields } } },
+    { arrayFilters: [{ 'lock.status': 'active', 'lock.applied': { $exists: true } }] }
+  );
+}
+
+// Apply every lock that started or ended by now
+async function applyDueReviewLocks(now = new Date()) {
+  const products = await Product.find({
+    reviewLocks: {
+      $elemMatch: {
+        $or: [
+          { status: 'pending', startsAt: { $lte: now } },
+          { status: 'active', endsAt: { $lte: now } },
+        ],
+      },
+    },
+  });
+
+  for (const product of products) {
+    if (syncReviewLocks(product, now)) {
+      await product.save();
+    }
+  }
+
+  return products.length;
+}
+
+let schedulerTimer = null;
+
+// Start the in-process scheduler (runs once immediately, then on an interval)
+const startReviewScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const run = () => {
+    applyDueReviewLocks().catch(error => {
+      console.error('Review scheduler error:', error.message);
+    });
+  };
+
+  run();
+  schedulerTimer = setInterval(run, REVIEW_SCHEDULER_INTERVAL_SECONDS * 1000);
+  schedulerTimer.unref(); // Never keep the process alive on its own
+};
+
+const stopReviewScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  describeLock,
+  syncReviewLocks,
+  releaseLock,
+  detachLockFields,
+  applyDueReviewLocks,
+  startReviewScheduler,
+  stopReviewScheduler,
+};
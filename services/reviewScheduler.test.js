@@ -0,0 +1,169 @@
+const Product = require('../models/Product');
+const { syncReviewLocks, releaseLock, detachLockFields, describeLock } = require('./reviewScheduler');
+
+const at = (minutes) => new Date(Date.UTC(2024, 0, 1) + minutes * 60 * 1000);
+
+const productWithLocks = (locks, flags = {}) => new Product({
+  name: 'Game',
+  reviewLocks: locks.map(lock => ({ reason: 'Launch', startsAt: at(0), ...lock })),
+  ...flags,
+});
+
+describe('syncReviewLocks', () => {
+  test('activates a due lock and disables its fields', () => {
+    const product = productWithLocks([{ rating: true, endsAt: at(60) }]);
+
+    expect(syncReviewLocks(product, at(10))).toBe(true);
+    expect(product.reviewLocks[0].status).toBe('active');
+    expect(product.disableRating).toBe(true);
+    expect(product.disableCommenting).toBeFalsy();
+  });
+
+  test('leaves locks that have not started alone', () => {
+    const product = productWithLocks([{ rating: true, startsAt: at(30) }]);
+
+    expect(syncReviewLocks(product, at(10))).toBe(false);
+    expect(product.reviewLocks[0].status).toBe('pending');
+    expect(product.disableRating).toBeFalsy();
+  });
+
+  test('completes an ended lock and re-enables its fields', () => {
+    const product = productWithLocks([{ rating: true, commenting: true, endsAt: at(60) }]);
+    syncReviewLocks(product, at(10));
+
+    expect(syncReviewLocks(product, at(60))).toBe(true);
+    expect(product.reviewLocks[0].status).toBe('completed');
+    expect(product.disableRating).toBe(false);
+    expect(product.disableCommenting).toBe(false);
+  });
+
+  test('catches up on a lock that started and ended while the server was down', () => {
+    const product = productWithLocks([{ commenting: true, endsAt: at(60) }]);
+
+    syncReviewLocks(product, at(120));
+    expect(product.reviewLocks[0].status).toBe('completed');
+    expect(product.disableCommenting).toBe(false);
+  });
+
+  test('keeps a field disabled by hand before the lock started', () => {
+    const product = productWithLocks(
+      [{ rating: true, commenting: true, endsAt: at(60) }],
+      { disableRating: true }
+    );
+    syncReviewLocks(product, at(10));
+    syncReviewLocks(product, at(60));
+
+    expect(product.disableRating).toBe(true);
+    expect(product.disableCommenting).toBe(false);
+  });
+
+  test('keeps a field disabled while an overlapping lock still covers it', () => {
+    const product = productWithLocks([
+      { rating: true, endsAt: at(60) },
+      { rating: true, startsAt: at(30), endsAt: at(90) },
+    ]);
+    syncReviewLocks(product, at(10));
+    syncReviewLocks(product, at(30));
+
+    syncReviewLocks(product, at(60));
+    expect(product.disableRating).toBe(true);
+
+    // The later lock took over the field from the first one
+    syncReviewLocks(product, at(90));
+    expect(product.disableRating).toBe(false);
+  });
+
+  test('an open-ended lock stays active', () => {
+    const product = productWithLocks([{ rating: true }]);
+    syncReviewLocks(product, at(10));
+
+    expect(syncReviewLocks(product, at(100000))).toBe(false);
+    expect(product.disableRating).toBe(true);
+  });
+});
+
+describe('releaseLock', () => {
+  test('re-enables every field of a lock that did not record what it disabled', () => {
+    const product = productWithLocks(
+      [{ rating: true, commenting: true, status: 'cancelled' }],
+      { disableRating: true, disableCommenting: true }
+    );
+
+    releaseLock(product, product.reviewLocks[0]);
+    expect(product.disableRating).toBe(false);
+    expect(product.disableCommenting).toBe(false);
+  });
+});
+
+describe('detachLockFields', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Runs the $pull on the in-memory product, for the active locks the array filter selects
+  const pullFrom = (product) => jest.spyOn(Product, 'updateMany').mockImplementation(async (filter, update) => {
+    const fields = update.$pull['reviewLocks.$[lock].applied'].$in;
+    product.reviewLocks
+      .filter(lock => lock.status === 'active' && lock.applied)
+      .forEach(lock => lock.applied.pull(...fields));
+  });
+
+  test('a field disabled by hand during a lock stays disabled when the lock ends', async () => {
+    const product = productWithLocks([{ rating: true, commenting: true, endsAt: at(60) }]);
+    syncReviewLocks(product, at(10));
+    pullFrom(product);
+
+    // What POST /api/products/:id/reviews/disable does for rating
+    product.disableRating = true;
+    await detachLockFields([product._id], ['rating']);
+
+    syncReviewLocks(product, at(60));
+    expect(product.disableRating).toBe(true);
+    expect(product.disableCommenting).toBe(false);
+  });
+
+  test('a field enabled by hand during a lock is no longer the lock\'s to release', async () => {
+    const product = productWithLocks([
+      { rating: true, endsAt: at(60) },
+      { rating: true, startsAt: at(30), endsAt: at(90) },
+    ]);
+    syncReviewLocks(product, at(10));
+    pullFrom(product);
+
+    product.disableRating = false;
+    await detachLockFields([product._id], ['rating']);
+
+    // The admin disables it again later; neither lock re-enables it
+    product.disableRating = true;
+    await detachLockFields([product._id], ['rating']);
+    syncReviewLocks(product, at(30));
+    syncReviewLocks(product, at(60));
+    syncReviewLocks(product, at(90));
+    expect(product.disableRating).toBe(true);
+  });
+
+  test('does nothing without fields', async () => {
+    const updateMany = jest.spyOn(Product, 'updateMany');
+
+    await detachLockFields(['id'], []);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('describeLock', () => {
+  test('gives the latest reason and when the field re-opens', () => {
+    const product = productWithLocks([
+      { rating: true, endsAt: at(60), status: 'active' },
+      { rating: true, startsAt: at(5), endsAt: at(90), status: 'active', reason: 'Review bombing' },
+    ]);
+
+    expect(describeLock(product, 'rating', at(10))).toEqual({ reason: 'Review bombing', reopensAt: at(90) });
+    expect(describeLock(product, 'commenting', at(10))).toBeNull();
+  });
+
+  test('has no re-open time while an open-ended lock applies', () => {
+    const product = productWithLocks([{ rating: true, status: 'active' }]);
+
+    expect(describeLock(product, 'rating', at(10)).reopensAt).toBeNull();
+  });
+});